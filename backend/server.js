@@ -5,8 +5,20 @@ import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import fs from 'fs'
 import { EventEmitter } from 'events'
-import { analyzeGreenspace } from './services/greenpaceAnalyzer.js'
+import { analyzeGreenspace, GRID_TYPES, FIRST_IMAGERY_YEAR, MAX_YEAR_SPAN, normalizeYearRange, HEX_REQUEST_MAX_RESOLUTION, getCellBudget, estimateHexCellCount } from './services/greenpaceAnalyzer.js'
+import { CLIMATE_ZONES, isValidMonthDay } from './services/compositingWindow.js'
+import { PHENOLOGY_MODES } from './services/phenology.js'
 import { geocodeCity } from './services/geocoding.js'
+import { listImageryProviders } from './services/imageryProviders.js'
+import { listLandCoverLayers } from './services/landCoverLayers.js'
+import { listClassificationProfiles } from './services/classificationProfiles.js'
+import { SCORING_MODELS, listScoringModels } from './services/scoringModels.js'
+import { validateDistrictCollection } from './services/districtBreakdown.js'
+import { parseUploadedBoundary } from './services/boundaryUpload.js'
+import { getCacheStats } from './services/resultCache.js'
+import { ANALYSIS_STATUSES, createAnalysis, startAnalysis, completeAnalysis, failAnalysis, cancelAnalysis, isActiveAnalysis, listAnalyses, getAnalysis, deleteAnalysis } from './services/analysisStore.js'
+import { createJobQueue, JOB_PRIORITIES } from './services/jobQueue.js'
+import * as turf from '@turf/turf'
 
 dotenv.config()
 
@@ -25,9 +37,12 @@ progressEmitter.on('error', (error) => {
   // Don't crash the process, just log the error
 })
 
+// Analyses run through a queue so a burst of requests cannot flood the imagery provider
+const analysisQueue = createJobQueue({ concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY) || 2 })
+
 // Middleware
 app.use(cors())
-app.use(express.json())
+app.use(express.json({ limit: '10mb' })) // district GeoJSON uploads
 
 // Load cities data
 let citiesData = []
@@ -45,6 +60,15 @@ try {
 // Server-Sent Events endpoint for real-time progress updates
 app.get('/api/analysis-progress/:sessionId', (req, res) => {
   const { sessionId } = req.params
+
+  // Looked up before the stream opens, so a store failure is a plain 500
+  let stored
+  try {
+    stored = getAnalysis(sessionId)
+  } catch (error) {
+    console.error('Error reading analysis:', error)
+    return res.status(500).json({ error: 'Failed to read the analysis' })
+  }
   
   // Set up SSE headers
   res.writeHead(200, {
@@ -82,13 +106,30 @@ app.get('/api/analysis-progress/:sessionId', (req, res) => {
   progressEmitter.on('progress', progressHandler)
   progressEmitter.on('complete', completeHandler)
   progressEmitter.on('error', errorHandler)
+  progressEmitter.on('cancelled', completeHandler) // also ends the stream
 
-  // Clean up when client disconnects
-  req.on('close', () => {
+  const removeHandlers = () => {
     progressEmitter.removeListener('progress', progressHandler)
     progressEmitter.removeListener('complete', completeHandler)
     progressEmitter.removeListener('error', errorHandler)
-  })
+    progressEmitter.removeListener('cancelled', completeHandler)
+  }
+
+  // Clean up when client disconnects
+  req.on('close', removeHandlers)
+
+  // Replay the outcome of analyses that finished before the client connected
+  if (stored && !isActiveAnalysis(stored)) {
+    removeHandlers()
+    res.write(`data: ${JSON.stringify(toOutcomeEvent(stored))}\n\n`)
+    res.end()
+    return
+  }
+
+  const position = analysisQueue.position(sessionId)
+  if (position) {
+    res.write(`data: ${JSON.stringify(toQueuedEvent(sessionId, position))}\n\n`)
+  }
 })
 
 // Get all cities for autocomplete
@@ -150,13 +191,126 @@ app.get('/api/cities/search', async (req, res) => {
 // Analyze greenspace for a city
 app.post('/api/analyze-greenspace', async (req, res) => {
   try {
-    const { city, yearRange } = req.body
+    const { city, yearRange, provider, seed, cellBudget, gridType, hexResolution, concurrency, clearSkyThreshold, climateZone, compositingWindow, phenology, classificationProfile, changeDetection, scoringModel, population, greenPatchThreshold, districts, boundary, priority } = req.body
+    // ?refresh=true recomputes instead of serving cached analyses and cell imagery
+    const refresh = req.query.refresh === 'true'
     
-    if (!city) {
-      return res.status(400).json({ error: 'City is required' })
+    if (!city && !boundary) {
+      return res.status(400).json({ error: 'City or an uploaded boundary is required' })
+    }
+
+    if (yearRange) {
+      const { startYear, endYear } = yearRange
+      const currentYear = new Date().getFullYear()
+      if (!Number.isInteger(startYear) || !Number.isInteger(endYear) || startYear < FIRST_IMAGERY_YEAR || startYear > endYear || endYear > currentYear) {
+        return res.status(400).json({ error: `yearRange must have integer ${FIRST_IMAGERY_YEAR} <= startYear <= endYear <= ${currentYear}` })
+      }
+      if (endYear - startYear > MAX_YEAR_SPAN) {
+        return res.status(400).json({ error: `yearRange can span at most ${MAX_YEAR_SPAN} years` })
+      }
+    }
+
+    if (seed !== undefined && seed !== null && !(typeof seed === 'string' && seed.trim()) && !Number.isFinite(seed)) {
+      return res.status(400).json({ error: 'seed must be a number or non-empty string' })
+    }
+
+    if (cellBudget !== undefined && (!Number.isInteger(cellBudget) || cellBudget < 1 || cellBudget > 5000)) {
+      return res.status(400).json({ error: 'cellBudget must be an integer between 1 and 5000' })
+    }
+
+    if (gridType !== undefined && !GRID_TYPES.includes(gridType)) {
+      return res.status(400).json({ error: `gridType must be one of: ${GRID_TYPES.join(', ')}` })
+    }
+
+    if (hexResolution !== undefined && (!Number.isInteger(hexResolution) || hexResolution < 0 || hexResolution > HEX_REQUEST_MAX_RESOLUTION)) {
+      return res.status(400).json({ error: `hexResolution must be an integer between 0 and ${HEX_REQUEST_MAX_RESOLUTION}` })
+    }
+
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 64)) {
+      return res.status(400).json({ error: 'concurrency must be an integer between 1 and 64' })
+    }
+
+    if (clearSkyThreshold !== undefined && (typeof clearSkyThreshold !== 'number' || clearSkyThreshold < 0 || clearSkyThreshold > 1)) {
+      return res.status(400).json({ error: 'clearSkyThreshold must be a number between 0 and 1' })
+    }
+
+    if (climateZone !== undefined && !Object.hasOwn(CLIMATE_ZONES, climateZone)) {
+      return res.status(400).json({ error: `climateZone must be one of: ${Object.keys(CLIMATE_ZONES).join(', ')}` })
     }
 
-    console.log('Starting analysis for:', city)
+    if (compositingWindow !== undefined && (!isValidMonthDay(compositingWindow?.start) || !isValidMonthDay(compositingWindow?.end))) {
+      return res.status(400).json({ error: 'compositingWindow must have start and end dates as "MM-DD"' })
+    }
+
+    if (phenology !== undefined && !PHENOLOGY_MODES.includes(phenology)) {
+      return res.status(400).json({ error: `phenology must be one of: ${PHENOLOGY_MODES.join(', ')}` })
+    }
+
+    if (changeDetection !== undefined) {
+      const { fromYear, toYear, minChange } = changeDetection || {}
+      if ((fromYear !== undefined && !Number.isInteger(fromYear)) || (toYear !== undefined && !Number.isInteger(toYear))) {
+        return res.status(400).json({ error: 'changeDetection fromYear and toYear must be integers' })
+      }
+      // Without a yearRange the years are checked against the default range
+      const { startYear, endYear } = normalizeYearRange(yearRange)
+      const from = fromYear ?? startYear
+      const to = toYear ?? endYear
+      if ((fromYear !== undefined || toYear !== undefined) && (from < startYear || to > endYear || from >= to)) {
+        return res.status(400).json({ error: `changeDetection years must satisfy ${startYear} <= fromYear < toYear <= ${endYear}` })
+      }
+      if (minChange !== undefined && (typeof minChange !== 'number' || minChange < 0 || minChange > 100)) {
+        return res.status(400).json({ error: 'changeDetection minChange must be a number between 0 and 100' })
+      }
+    }
+
+    if (greenPatchThreshold !== undefined && (typeof greenPatchThreshold !== 'number' || greenPatchThreshold < 0 || greenPatchThreshold > 100)) {
+      return res.status(400).json({ error: 'greenPatchThreshold must be a number between 0 and 100' })
+    }
+
+    if (districts !== undefined) {
+      const problem = validateDistrictCollection(districts)
+      if (problem) {
+        return res.status(400).json({ error: problem })
+      }
+    }
+
+    if (population !== undefined && (!Number.isInteger(population) || population < 1)) {
+      return res.status(400).json({ error: 'population must be a positive integer' })
+    }
+
+    if (scoringModel !== undefined) {
+      const model = listScoringModels().models.find(m => m.name === scoringModel)
+      if (!model) {
+        return res.status(400).json({ error: `scoringModel must be one of: ${Object.keys(SCORING_MODELS).join(', ')}` })
+      }
+      if (model.requiresPopulation && !population) {
+        return res.status(400).json({ error: `The ${scoringModel} scoring model needs a population` })
+      }
+    }
+
+    if (priority !== undefined && !Object.keys(JOB_PRIORITIES).includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${Object.keys(JOB_PRIORITIES).join(', ')}` })
+    }
+
+    if (provider && !listImageryProviders().some(p => p.name === provider)) {
+      return res.status(400).json({ error: `Unknown imagery provider: ${provider}` })
+    }
+
+    if (classificationProfile && !listClassificationProfiles().some(p => p.name === classificationProfile)) {
+      return res.status(400).json({ error: `Unknown classification profile: ${classificationProfile}` })
+    }
+
+    // Uploaded area of interest replaces the city lookup
+    let uploadedArea = null
+    if (boundary) {
+      try {
+        uploadedArea = await parseUploadedBoundary(boundary)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+    }
+
+    console.log('Starting analysis for:', uploadedArea ? uploadedArea.boundary.properties.name : city)
     if (yearRange) {
       console.log('Custom year range:', yearRange)
     }
@@ -168,8 +322,22 @@ app.post('/api/analyze-greenspace', async (req, res) => {
     let cityData = null
     let boundaries = null
 
-    // Check if it's a predefined city with boundaries
-    if (typeof city === 'object' && city.city_id) {
+    if (uploadedArea) {
+      const [longitude, latitude] = turf.centroid(uploadedArea.boundary).geometry.coordinates
+      boundaries = uploadedArea.boundary
+      cityData = {
+        city: uploadedArea.boundary.properties.name,
+        country: '',
+        state_province: '',
+        latitude,
+        longitude,
+        customArea: { format: boundary.format, sourceCrs: uploadedArea.sourceCrs, repairs: uploadedArea.repairs }
+      }
+      if (uploadedArea.repairs.length > 0) {
+        console.log(`🛠️ Uploaded boundary repairs: ${uploadedArea.repairs.join(', ')}`)
+      }
+    } else if (typeof city === 'object' && city.city_id) {
+      // Predefined city with boundaries
       cityData = citiesData.find(c => c.city_id === city.city_id)
       if (cityData) {
         boundaries = cityData.polygon_geojson
@@ -214,50 +382,78 @@ app.post('/api/analyze-greenspace', async (req, res) => {
       return res.status(404).json({ error: 'City not found' })
     }
 
-    // Return session ID immediately for SSE connection
-    res.json({ sessionId, message: 'Analysis started', city: cityData.city || cityData.formatted_address })
-
-    // Start analysis in background with progress emissions
-    setImmediate(async () => {
-      try {
-        progressEmitter.emit('progress', {
-          sessionId,
-          type: 'analysis-started',
-          data: {
-            city: cityData.city || cityData.formatted_address,
-            status: 'Starting greenspace analysis...',
-            timestamp: new Date().toISOString()
-          }
-        })
+    // A fixed hexagon resolution must fit the cell budget over this city
+    if (gridType === 'hexagon' && hexResolution !== undefined && boundaries) {
+      const budget = getCellBudget(cellBudget)
+      const expectedCells = estimateHexCellCount(turf.area(boundaries) / 1000000, hexResolution)
+      if (expectedCells > budget) {
+        return res.status(400).json({ error: `hexResolution ${hexResolution} needs about ${expectedCells} cells here, more than the cell budget of ${budget}` })
+      }
+    }
 
-        // Perform greenspace analysis with progress tracking
-        const analysisResult = await analyzeGreenspace(cityData, boundaries, progressEmitter, sessionId, yearRange)
-        
-        progressEmitter.emit('complete', {
-          sessionId,
-          type: 'analysis-completed',
-          data: analysisResult
-        })
+    persist(() => createAnalysis({ sessionId, city: cityData.city || cityData.formatted_address, parameters: { ...req.body, ...(refresh && { refresh }) } }))
 
-      } catch (error) {
-        console.error('Error analyzing greenspace:', error)
-        
-        // Safely emit error without crashing
+    // Queue the analysis; progress and the outcome are streamed over SSE
+    const queuePosition = analysisQueue.enqueue({
+      id: sessionId,
+      priority,
+      run: async (signal) => {
         try {
-          progressEmitter.emit('error', {
+          persist(() => startAnalysis(sessionId))
+          progressEmitter.emit('progress', {
             sessionId,
-            type: 'analysis-error',
-            data: { 
-              error: 'Failed to analyze greenspace', 
-              details: error.message 
+            type: 'analysis-started',
+            data: {
+              city: cityData.city || cityData.formatted_address,
+              status: 'Starting greenspace analysis...',
+              timestamp: new Date().toISOString()
             }
           })
-        } catch (emitError) {
-          console.error('Error emitting progress error:', emitError)
+
+          // Perform greenspace analysis with progress tracking
+          const analysisResult = await analyzeGreenspace(cityData, boundaries, progressEmitter, sessionId, yearRange, { provider, seed, cellBudget, gridType, hexResolution, concurrency, clearSkyThreshold, climateZone, compositingWindow, phenology, classificationProfile, changeDetection, scoringModel, population, greenPatchThreshold, districts, refresh, signal })
+          
+          persist(() => completeAnalysis(sessionId, analysisResult))
+          progressEmitter.emit('complete', {
+            sessionId,
+            type: 'analysis-completed',
+            data: analysisResult
+          })
+
+        } catch (error) {
+          if (signal.aborted) {
+            emitCancelled(sessionId)
+            return
+          }
+
+          console.error('Error analyzing greenspace:', error)
+          persist(() => failAnalysis(sessionId, error.message))
+          
+          // Safely emit error without crashing
+          try {
+            progressEmitter.emit('error', {
+              sessionId,
+              type: 'analysis-error',
+              data: { 
+                error: 'Failed to analyze greenspace', 
+                details: error.message 
+              }
+            })
+          } catch (emitError) {
+            console.error('Error emitting progress error:', emitError)
+          }
         }
       }
     })
 
+    // Return session ID immediately for SSE connection
+    res.json({
+      sessionId,
+      message: queuePosition ? 'Analysis queued' : 'Analysis started',
+      city: cityData.city || cityData.formatted_address,
+      queuePosition
+    })
+
   } catch (error) {
     console.error('Error starting analysis:', error)
     res.status(500).json({ 
@@ -267,12 +463,94 @@ app.post('/api/analyze-greenspace', async (req, res) => {
   }
 })
 
+// Stored analyses, newest first: ?status=completed&limit=50&offset=0
+app.get('/api/analyses', (req, res) => {
+  const { status } = req.query
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit)
+  const offset = req.query.offset === undefined ? undefined : Number(req.query.offset)
+
+  if (status !== undefined && !ANALYSIS_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${ANALYSIS_STATUSES.join(', ')}` })
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'limit must be a positive integer' })
+  }
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' })
+  }
+
+  res.json(listAnalyses({ status, limit, offset }))
+})
+
+// One stored analysis with its request parameters and result
+app.get('/api/analyses/:sessionId', (req, res) => {
+  const analysis = getAnalysis(req.params.sessionId)
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' })
+  }
+  res.json(analysis)
+})
+
+app.delete('/api/analyses/:sessionId', (req, res) => {
+  const analysis = getAnalysis(req.params.sessionId)
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' })
+  }
+  if (isActiveAnalysis(analysis)) {
+    return res.status(409).json({ error: `Analysis is still ${analysis.status}; cancel it first` })
+  }
+  deleteAnalysis(req.params.sessionId)
+  res.json({ sessionId: req.params.sessionId, deleted: true })
+})
+
+// Cancel a queued or running analysis; running analyses abort their in-flight
+// imagery requests and report 'analysis-cancelled' once they have stopped
+app.post('/api/analyses/:sessionId/cancel', (req, res) => {
+  const { sessionId } = req.params
+  const analysis = getAnalysis(sessionId)
+  if (!analysis) {
+    return res.status(404).json({ error: 'Analysis not found' })
+  }
+
+  const cancelled = analysisQueue.cancel(sessionId)
+  if (!cancelled) {
+    return res.status(409).json({ error: `Analysis is already ${analysis.status}` })
+  }
+
+  // Repeated requests while a running analysis winds down get the same answer
+  if (cancelled !== 'cancelling') {
+    console.log(`🛑 Cancelling ${cancelled} analysis ${sessionId}`)
+  }
+  if (cancelled === 'queued') {
+    emitCancelled(sessionId)
+  }
+  res.status(202).json({ sessionId, status: cancelled === 'queued' ? 'cancelled' : 'cancelling' })
+})
+
+// List imagery providers and whether they are configured
+app.get('/api/imagery-providers', (req, res) => {
+  res.json(listImageryProviders())
+})
+
+// List classification profiles (weights, ranges and thresholds live in data/classification)
+app.get('/api/classification-profiles', (req, res) => {
+  res.json(listClassificationProfiles())
+})
+
+// Planning score models and the grade bands shared by every model
+app.get('/api/scoring-models', (req, res) => {
+  res.json(listScoringModels())
+})
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    cities_loaded: citiesData.length 
+    cities_loaded: citiesData.length,
+    landcover_layers: listLandCoverLayers(),
+    cache: getCacheStats(),
+    queue: analysisQueue.stats()
   })
 })
 
@@ -282,6 +560,47 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' })
 })
 
+// SSE event for a finished analysis, matching what the live stream sends
+function toOutcomeEvent(analysis) {
+  if (analysis.status === 'completed') {
+    return { sessionId: analysis.sessionId, type: 'analysis-completed', data: analysis.result }
+  }
+  if (analysis.status === 'cancelled') {
+    return toCancelledEvent(analysis.sessionId)
+  }
+  return { sessionId: analysis.sessionId, type: 'analysis-error', data: { error: 'Failed to analyze greenspace', details: analysis.error } }
+}
+
+function toQueuedEvent(sessionId, position) {
+  return {
+    sessionId,
+    type: 'analysis-queued',
+    data: { position, status: `Waiting in queue (position ${position})...`, timestamp: new Date().toISOString() }
+  }
+}
+
+function toCancelledEvent(sessionId) {
+  return {
+    sessionId,
+    type: 'analysis-cancelled',
+    data: { status: 'Analysis cancelled', timestamp: new Date().toISOString() }
+  }
+}
+
+function emitCancelled(sessionId) {
+  persist(() => cancelAnalysis(sessionId))
+  progressEmitter.emit('cancelled', toCancelledEvent(sessionId))
+}
+
+// A store failure is logged but must not turn a finished analysis into an error
+function persist(write) {
+  try {
+    write()
+  } catch (error) {
+    console.error('Error saving analysis:', error)
+  }
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`)
@@ -0,0 +1,139 @@
+import * as turf from '@turf/turf'
+
+// Distance-to-green accessibility. Cells at or above the green patch threshold
+// are green patches; every other cell gets the distance from its centre to the
+// nearest edge of a patch. Coverage alone hides cities whose green space is
+// concentrated in one ravine or park far from most neighbourhoods.
+export const ACCESS_DISTANCES = [300, 500]
+
+const METERS_PER_DEGREE = 111320
+const INDEX_BUCKET_SIZE = 0.01 // degrees per spatial index bucket (~1 km)
+
+// Attaches `distanceToGreen` (m, 0 for green patches, null without any patch)
+// and `greenAccess` (share of the cell within each distance) to every cell and
+// returns the city summary
+export function analyzeAccessibility(gridResults, greenThreshold) {
+  const greenCells = gridResults.filter(cell => cell.vegetationPercentage >= greenThreshold)
+  const greenIndex = createGreenIndex(greenCells)
+  const totalArea = gridResults.reduce((sum, cell) => sum + cell.area, 0)
+  const areaWithin = Object.fromEntries(ACCESS_DISTANCES.map(distance => [distance, 0]))
+  let distanceSum = 0
+  let maxDistance = 0
+
+  for (const cell of gridResults) {
+    cell.distanceToGreen = nearestGreenDistance(cell, greenIndex, greenThreshold)
+    if (cell.distanceToGreen === null) continue
+
+    distanceSum += cell.distanceToGreen * cell.area
+    maxDistance = Math.max(maxDistance, cell.distanceToGreen)
+    cell.greenAccess = Object.fromEntries(ACCESS_DISTANCES.map(distance => [distance, shareWithinDistance(cell, greenIndex, distance, greenThreshold)]))
+    for (const distance of ACCESS_DISTANCES) {
+      areaWithin[distance] += cell.area * cell.greenAccess[distance]
+    }
+  }
+
+  return {
+    greenThreshold,
+    greenPatches: greenCells.length,
+    greenPatchArea: greenCells.reduce((sum, cell) => sum + cell.area, 0),
+    withinDistance: Object.fromEntries(ACCESS_DISTANCES.map(distance => [
+      distance,
+      { area: areaWithin[distance], percentage: totalArea > 0 ? (areaWithin[distance] / totalArea) * 100 : 0 }
+    ])),
+    meanDistance: greenCells.length > 0 && totalArea > 0 ? distanceSum / totalArea : null,
+    maxDistance: greenCells.length > 0 ? maxDistance : null
+  }
+}
+
+// Green cell bounds in a bucket grid, so each cell only looks at the green
+// cells near it instead of every green cell in the city
+function createGreenIndex(greenCells) {
+  const buckets = new Map()
+  let extent = null
+  for (const green of greenCells) {
+    const [west, south, east, north] = green.bounds
+    for (let x = Math.floor(west / INDEX_BUCKET_SIZE); x <= Math.floor(east / INDEX_BUCKET_SIZE); x++) {
+      for (let y = Math.floor(south / INDEX_BUCKET_SIZE); y <= Math.floor(north / INDEX_BUCKET_SIZE); y++) {
+        const key = `${x},${y}`
+        if (!buckets.has(key)) buckets.set(key, [])
+        buckets.get(key).push(green)
+        extent = extent
+          ? [Math.min(extent[0], x), Math.min(extent[1], y), Math.max(extent[2], x), Math.max(extent[3], y)]
+          : [x, y, x, y]
+      }
+    }
+  }
+  return { buckets, extent, size: greenCells.length }
+}
+
+// Green cells in the buckets overlapping [west, south, east, north]
+function searchGreenIndex(index, [west, south, east, north]) {
+  const found = new Set()
+  for (let x = Math.floor(west / INDEX_BUCKET_SIZE); x <= Math.floor(east / INDEX_BUCKET_SIZE); x++) {
+    for (let y = Math.floor(south / INDEX_BUCKET_SIZE); y <= Math.floor(north / INDEX_BUCKET_SIZE); y++) {
+      index.buckets.get(`${x},${y}`)?.forEach(green => found.add(green))
+    }
+  }
+  return found
+}
+
+// Searches rings of buckets outwards from the cell's centre until no closer
+// green cell can be left: a ring r buckets away is at least (r - 1) buckets off
+function nearestGreenDistance(cell, index, greenThreshold) {
+  if (cell.vegetationPercentage >= greenThreshold) return 0
+  if (index.size === 0) return null
+
+  const bucketMeters = INDEX_BUCKET_SIZE * METERS_PER_DEGREE * Math.cos(cell.latitude * Math.PI / 180)
+  const cx = Math.floor(cell.longitude / INDEX_BUCKET_SIZE)
+  const cy = Math.floor(cell.latitude / INDEX_BUCKET_SIZE)
+  const [minX, minY, maxX, maxY] = index.extent
+  const maxRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy)
+
+  let nearest = Infinity
+  for (let ring = 0; ring <= maxRing && (ring - 1) * bucketMeters <= nearest; ring++) {
+    for (let x = cx - ring; x <= cx + ring; x++) {
+      for (let y = cy - ring; y <= cy + ring; y++) {
+        if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) !== ring) continue
+        index.buckets.get(`${x},${y}`)?.forEach(green => {
+          nearest = Math.min(nearest, distanceToCellMeters(cell, green))
+        })
+      }
+    }
+  }
+  return Math.round(nearest)
+}
+
+// Share (0-1) of the cell within `distance` metres of a green cell. Cells are
+// kilometres across, so whole cells are not counted: the nearby green cells'
+// bounds are widened by the distance and intersected with the cell's own shape
+function shareWithinDistance(cell, index, distance, greenThreshold) {
+  if (cell.vegetationPercentage >= greenThreshold) return 1
+
+  const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(cell.latitude * Math.PI / 180)
+  const dLon = distance / metersPerDegreeLon
+  const dLat = distance / METERS_PER_DEGREE
+  const [west, south, east, north] = cell.bounds
+  const reach = [...searchGreenIndex(index, [west - dLon, south - dLat, east + dLon, north + dLat])]
+    .map(green => green.bounds)
+    .filter(([gWest, gSouth, gEast, gNorth]) => gWest - dLon < east && gEast + dLon > west && gSouth - dLat < north && gNorth + dLat > south)
+    .map(([gWest, gSouth, gEast, gNorth]) => [gWest - dLon, gSouth - dLat, gEast + dLon, gNorth + dLat])
+  if (reach.length === 0) return 0
+  // One widened green box over the whole cell needs no geometry
+  if (reach.some(([rWest, rSouth, rEast, rNorth]) => rWest <= west && rSouth <= south && rEast >= east && rNorth >= north)) return 1
+
+  const cellShape = turf.feature(cell.geometry)
+  const covered = reach
+    .map(box => turf.bboxPolygon(box))
+    .reduce((merged, box) => (merged ? turf.union(merged, box) : box), null)
+  const overlap = turf.intersect(cellShape, covered)
+  return overlap ? Math.min(1, turf.area(overlap) / turf.area(cellShape)) : 0
+}
+
+// Distance from a cell's centre to the nearest edge of another cell's bounds
+function distanceToCellMeters(cell, other) {
+  const [west, south, east, north] = other.bounds
+  const dLon = Math.max(west - cell.longitude, 0, cell.longitude - east)
+  const dLat = Math.max(south - cell.latitude, 0, cell.latitude - north)
+  const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(cell.latitude * Math.PI / 180)
+  return Math.hypot(dLon * metersPerDegreeLon, dLat * METERS_PER_DEGREE)
+}
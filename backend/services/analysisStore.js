@@ -0,0 +1,170 @@
+import Database from 'better-sqlite3'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { hashKey } from './resultCache.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.join(__dirname, '..', '..')
+
+// Persistent record of every analysis: status, request parameters, timestamps
+// and the final result, in an SQLite file (ANALYSIS_DB_PATH). Results survive
+// server restarts and can be fetched again after the SSE stream has closed.
+export const ANALYSIS_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled']
+const ACTIVE_STATUSES = ['queued', 'running']
+
+const DEFAULT_LIST_LIMIT = 50
+const MAX_LIST_LIMIT = 500
+
+let db = null
+
+function getDbPath() {
+  return path.resolve(ROOT_DIR, process.env.ANALYSIS_DB_PATH || 'data/analyses.db')
+}
+
+function getDb() {
+  if (db) return db
+
+  const dbPath = getDbPath()
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true })
+  db = new Database(dbPath)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS analyses (
+      session_id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      city TEXT,
+      parameters TEXT NOT NULL,
+      score REAL,
+      greenspace_percentage REAL,
+      error TEXT,
+      result TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      started_at TEXT,
+      completed_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+  `)
+
+  // Databases created before the job queue have no started_at column
+  const columns = db.prepare('PRAGMA table_info(analyses)').all().map(column => column.name)
+  if (!columns.includes('started_at')) {
+    db.exec('ALTER TABLE analyses ADD COLUMN started_at TEXT')
+  }
+
+  // Queued or running analyses die with the server and can never finish
+  const now = new Date().toISOString()
+  const interrupted = db.prepare(`
+    UPDATE analyses SET status = 'failed', error = 'Server restarted before the analysis finished', updated_at = ?, completed_at = ?
+    WHERE status IN ('queued', 'running')
+  `).run(now, now)
+
+  console.log(`🗄️ Analysis store: ${dbPath}${interrupted.changes ? `, ${interrupted.changes} interrupted analyses marked failed` : ''}`)
+  return db
+}
+
+export function createAnalysis({ sessionId, city, parameters }) {
+  const now = new Date().toISOString()
+  getDb().prepare(`
+    INSERT INTO analyses (session_id, status, city, parameters, created_at, updated_at)
+    VALUES (?, 'queued', ?, ?, ?, ?)
+  `).run(sessionId, city, JSON.stringify(summarizeParameters(parameters)), now, now)
+}
+
+// Uploaded boundaries and districts can be megabytes of GeoJSON; the record
+// keeps a hash and a short summary of them instead
+function summarizeParameters({ boundary, districts, ...parameters }) {
+  return {
+    ...parameters,
+    ...(boundary && {
+      boundary: { format: boundary.format, name: boundary.name, hash: hashKey(boundary.data ?? null) }
+    }),
+    ...(districts && {
+      districts: { features: districts.features?.length ?? 0, hash: hashKey(districts) }
+    })
+  }
+}
+
+export function startAnalysis(sessionId) {
+  const now = new Date().toISOString()
+  getDb().prepare(`
+    UPDATE analyses SET status = 'running', updated_at = ?, started_at = ?
+    WHERE session_id = ?
+  `).run(now, now, sessionId)
+}
+
+export function completeAnalysis(sessionId, result) {
+  const now = new Date().toISOString()
+  getDb().prepare(`
+    UPDATE analyses SET status = 'completed', score = ?, greenspace_percentage = ?, result = ?, updated_at = ?, completed_at = ?
+    WHERE session_id = ?
+  `).run(result.score ?? null, result.greenspacePercentage ?? null, JSON.stringify(result), now, now, sessionId)
+}
+
+export function failAnalysis(sessionId, error) {
+  const now = new Date().toISOString()
+  getDb().prepare(`
+    UPDATE analyses SET status = 'failed', error = ?, updated_at = ?, completed_at = ?
+    WHERE session_id = ?
+  `).run(error, now, now, sessionId)
+}
+
+export function cancelAnalysis(sessionId) {
+  const now = new Date().toISOString()
+  getDb().prepare(`
+    UPDATE analyses SET status = 'cancelled', updated_at = ?, completed_at = ?
+    WHERE session_id = ?
+  `).run(now, now, sessionId)
+}
+
+// Queued or running; such analyses can be cancelled but not deleted
+export function isActiveAnalysis(analysis) {
+  return ACTIVE_STATUSES.includes(analysis.status)
+}
+
+// Newest first, without parameters or results; { analyses, total }
+export function listAnalyses({ status = null, limit = DEFAULT_LIST_LIMIT, offset = 0 } = {}) {
+  const where = status ? 'WHERE status = ?' : ''
+  const filter = status ? [status] : []
+  const rows = getDb().prepare(`
+    SELECT session_id, status, city, score, greenspace_percentage, error, created_at, updated_at, started_at, completed_at
+    FROM analyses ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?
+  `).all(...filter, Math.min(limit, MAX_LIST_LIMIT), offset)
+  const { total } = getDb().prepare(`SELECT COUNT(*) AS total FROM analyses ${where}`).get(...filter)
+
+  return { analyses: rows.map(toSummary), total }
+}
+
+// Full record with parameters and result, or null
+export function getAnalysis(sessionId) {
+  const row = getDb().prepare('SELECT * FROM analyses WHERE session_id = ?').get(sessionId)
+  if (!row) return null
+
+  return {
+    ...toSummary(row),
+    parameters: JSON.parse(row.parameters),
+    result: row.result ? JSON.parse(row.result) : null
+  }
+}
+
+// True when a record was deleted
+export function deleteAnalysis(sessionId) {
+  return getDb().prepare('DELETE FROM analyses WHERE session_id = ?').run(sessionId).changes > 0
+}
+
+function toSummary(row) {
+  return {
+    sessionId: row.session_id,
+    status: row.status,
+    city: row.city,
+    score: row.score,
+    greenspacePercentage: row.greenspace_percentage,
+    ...(row.error && { error: row.error }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  }
+}
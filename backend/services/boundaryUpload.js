@@ -0,0 +1,202 @@
+import * as turf from '@turf/turf'
+import { kml } from '@tmcw/togeojson'
+import { DOMParser } from '@xmldom/xmldom'
+import proj4 from 'proj4'
+import shp from 'shpjs'
+
+// Custom areas of interest uploaded with an analysis request: GeoJSON, KML or
+// a zipped Shapefile. Polygons are merged into one boundary feature, repaired
+// (closed rings, duplicate vertices, self-intersections, winding) and
+// reprojected to WGS84 when the upload declares another CRS.
+export const BOUNDARY_FORMATS = ['geojson', 'kml', 'shapefile']
+
+// { boundary: Feature<Polygon|MultiPolygon>, repairs: [string], sourceCrs }.
+// Every error thrown here describes a problem with the upload itself
+export async function parseUploadedBoundary({ format, data, name }) {
+  if (!BOUNDARY_FORMATS.includes(format)) {
+    throw new Error(`boundary.format must be one of: ${BOUNDARY_FORMATS.join(', ')}`)
+  }
+  if (!data) {
+    throw new Error('boundary.data is required')
+  }
+
+  let collection
+  let sourceCrs = 'EPSG:4326'
+  const repairs = []
+
+  if (format === 'geojson') {
+    const geojson = typeof data === 'string' ? parseJson(data) : data
+    collection = toFeatureCollection(geojson)
+    sourceCrs = getGeojsonCrs(geojson)
+    if (sourceCrs !== 'EPSG:4326') {
+      collection = reprojectCollection(collection, sourceCrs)
+      repairs.push(`reprojected from ${sourceCrs} to WGS84`)
+    }
+  } else if (format === 'kml') {
+    // KML coordinates are always WGS84
+    collection = kml(parseXml(String(data)))
+  } else {
+    // shpjs reprojects with the .prj in the archive
+    try {
+      const parsed = await shp(Buffer.from(String(data), 'base64'))
+      const layers = Array.isArray(parsed) ? parsed : [parsed]
+      collection = turf.featureCollection(layers.flatMap(layer => layer.features))
+    } catch (error) {
+      throw new Error(`Could not read the zipped Shapefile: ${error.message}`)
+    }
+  }
+
+  // KML <MultiGeometry> arrives as a GeometryCollection; its members count as features
+  const features = collection.features.flatMap(flattenGeometryCollection)
+  const polygons = features.filter(feature => ['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type))
+  if (polygons.length === 0) {
+    throw new Error('The uploaded boundary has no Polygon or MultiPolygon features')
+  }
+  if (polygons.length < features.length) {
+    repairs.push(`ignored ${features.length - polygons.length} non-polygon features`)
+  }
+
+  assertLongitudeLatitude(polygons)
+
+  const repaired = polygons.map(feature => repairPolygonFeature(feature, repairs))
+  let boundary = repaired.reduce((merged, feature) => (merged ? turf.union(merged, feature) : feature), null)
+  if (repaired.length > 1) {
+    repairs.push(`merged ${repaired.length} polygons`)
+  }
+
+  boundary = turf.rewind(turf.feature(boundary.geometry), { mutate: true })
+  if (turf.area(boundary) <= 0) {
+    throw new Error('The uploaded boundary has no area')
+  }
+
+  boundary.properties = { name: name || polygons[0].properties?.name || 'Custom area' }
+  return { boundary, repairs: [...new Set(repairs)], sourceCrs }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Invalid GeoJSON: ${error.message}`)
+  }
+}
+
+// xmldom reports problems to onError (and prints them by default); errors
+// and fatal errors reject the upload, warnings are ignored
+function parseXml(text) {
+  const problems = []
+  let document
+  try {
+    document = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') problems.push(message)
+      }
+    }).parseFromString(text, 'text/xml')
+  } catch (error) {
+    problems.push(error.message)
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid KML: ${problems[0].split('\n')[0]}`)
+  }
+  return document
+}
+
+function toFeatureCollection(geojson) {
+  if (geojson?.type === 'FeatureCollection') return geojson
+  if (geojson?.type === 'Feature') return turf.featureCollection([geojson])
+  if (geojson?.type && geojson.coordinates) return turf.featureCollection([turf.feature(geojson)])
+  throw new Error('boundary.data is not a GeoJSON geometry, Feature or FeatureCollection')
+}
+
+function flattenGeometryCollection(feature) {
+  if (feature?.geometry?.type !== 'GeometryCollection') return [feature]
+  return feature.geometry.geometries.flatMap(geometry => flattenGeometryCollection(turf.feature(geometry, feature.properties)))
+}
+
+// Legacy `crs` member (GeoJSON 2008); RFC 7946 GeoJSON is always WGS84
+function getGeojsonCrs(geojson) {
+  const crsName = geojson?.crs?.properties?.name
+  if (!crsName) return 'EPSG:4326'
+
+  const match = String(crsName).match(/EPSG:+(\d+)$/i)
+  if (/CRS84$/i.test(crsName) || match?.[1] === '4326') return 'EPSG:4326'
+  if (!match) {
+    throw new Error(`Unsupported CRS: ${crsName}`)
+  }
+  return `EPSG:${match[1]}`
+}
+
+// proj4 knows WGS84, Web Mercator and NAD83; WGS84 UTM zones are defined here
+function getProjection(crs) {
+  const code = parseInt(crs.split(':')[1])
+  if (code >= 32601 && code <= 32660) return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`
+  if (code >= 32701 && code <= 32760) return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`
+  if (proj4.defs(crs)) return crs
+  throw new Error(`Unsupported CRS: ${crs}; upload WGS84, Web Mercator or a WGS84 UTM zone`)
+}
+
+function reprojectCollection(collection, crs) {
+  const converter = proj4(getProjection(crs), 'EPSG:4326')
+  const reprojected = turf.clone(collection)
+  turf.coordEach(reprojected, coord => {
+    const [lon, lat] = converter.forward([coord[0], coord[1]])
+    coord[0] = lon
+    coord[1] = lat
+  })
+  return reprojected
+}
+
+function assertLongitudeLatitude(features) {
+  const [west, south, east, north] = turf.bbox(turf.featureCollection(features))
+  if (west < -180 || east > 180 || south < -90 || north > 90) {
+    throw new Error('Coordinates are not WGS84 longitude/latitude; declare the CRS of projected data')
+  }
+}
+
+// Also used for uploaded districts, so the same geometry is accepted everywhere
+export function repairPolygonFeature(feature, repairs = []) {
+  const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates
+  if (!Array.isArray(polygons) || polygons.length === 0 || polygons.some(rings => !Array.isArray(rings) || rings.length === 0)) {
+    throw new Error('The polygon has no rings')
+  }
+
+  const cleaned = polygons.map(rings => rings.map((ring, index) => cleanRing(ring, index, repairs)))
+
+  // Self-intersecting ("bow-tie") polygons are split at the crossings and merged back
+  const pieces = cleaned.map(rings => turf.polygon(rings))
+  return pieces
+    .flatMap(piece => {
+      if (turf.kinks(piece).features.length === 0) return [piece]
+      repairs.push('split self-intersecting rings')
+      return turf.unkinkPolygon(piece).features
+    })
+    .reduce((merged, piece) => (merged ? turf.union(merged, piece) : piece), null)
+}
+
+// Closes the ring and drops repeated vertices. Throws a readable error when
+// the ring is not a list of positions or has fewer than 3 distinct corners
+function cleanRing(ring, index, repairs) {
+  const label = index === 0 ? 'The outer ring' : `Hole ${index}`
+  // An open triangle (3 positions) is valid once closed; fewer never are
+  if (!Array.isArray(ring) || ring.length < 3) {
+    throw new Error(`${label} has ${Array.isArray(ring) ? ring.length : 0} positions; a ring needs at least 4 with the first and last equal, or 3 left open`)
+  }
+  if (!ring.every(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))) {
+    throw new Error(`${label} has a position that is not a [longitude, latitude] pair`)
+  }
+
+  const points = ring.filter((point, i) => i === 0 || point[0] !== ring[i - 1][0] || point[1] !== ring[i - 1][1])
+  const first = points[0]
+  const last = points[points.length - 1]
+  const closed = first[0] === last[0] && first[1] === last[1]
+
+  if (points.length < ring.length) repairs.push('removed duplicate vertices')
+  if (!closed) {
+    points.push([...first])
+    repairs.push('closed an open ring')
+  }
+  if (new Set(points.map(point => `${point[0]},${point[1]}`)).size < 3) {
+    throw new Error(`${label} has fewer than 3 distinct corners`)
+  }
+  return points
+}
@@ -0,0 +1,87 @@
+// Per-cell change detection between two years of the historical series. Both
+// years run over the same grid, so cells are compared by position. Only cells
+// scored from imagery in both years are classified: estimated and reference
+// cells carry seeded noise per year that would show up as spurious change, and
+// cloudy cells have no value at all.
+export const CHANGE_CLASSES = ['gain', 'loss', 'stable', 'unmeasured']
+
+const UNMEASURED_SOURCES = ['estimate', 'reference', 'unmeasured']
+const DEFAULT_HOTSPOT_COUNT = 10
+
+// Whether a cell's value was scored from imagery rather than simulated
+export function isMeasuredCell(cell) {
+  return !UNMEASURED_SOURCES.includes(cell.source)
+}
+
+// { vegetationDelta, ndviDelta, class } for one cell; deltas are `to - from`,
+// null when either year has no value (cloudy cells)
+export function detectCellChange(fromCell, toCell, minChange) {
+  const hasValues = fromCell.vegetationPercentage !== null && toCell.vegetationPercentage !== null
+  const vegetationDelta = hasValues ? toCell.vegetationPercentage - fromCell.vegetationPercentage : null
+  const ndviDelta = hasValues ? toCell.ndvi - fromCell.ndvi : null
+  const measured = isMeasuredCell(fromCell) && isMeasuredCell(toCell)
+
+  let changeClass = 'stable'
+  if (!measured) changeClass = 'unmeasured'
+  else if (vegetationDelta >= minChange) changeClass = 'gain'
+  else if (vegetationDelta <= -minChange) changeClass = 'loss'
+
+  return { vegetationDelta, ndviDelta, class: changeClass }
+}
+
+// Change between two per-year gridResults arrays. `change` is attached to each
+// cell of `targetCells` (the cells shown on the map) and the city summary and
+// loss hotspots, ranked by vegetated area lost, are returned
+export function detectVegetationChange(fromCells, toCells, { fromYear, toYear, minChange, targetCells = toCells, hotspotCount = DEFAULT_HOTSPOT_COUNT }) {
+  const summary = Object.fromEntries(CHANGE_CLASSES.map(key => [key, { cells: 0, area: 0 }]))
+  let measuredArea = 0
+  let deltaSum = 0
+  let vegetationAreaChange = 0
+  const losses = []
+
+  toCells.forEach((toCell, i) => {
+    const fromCell = fromCells[i]
+    const change = detectCellChange(fromCell, toCell, minChange)
+    targetCells[i].change = change
+
+    summary[change.class].cells++
+    summary[change.class].area += toCell.area
+    if (change.class === 'unmeasured') return
+
+    measuredArea += toCell.area
+    deltaSum += change.vegetationDelta * toCell.area
+    vegetationAreaChange += (change.vegetationDelta / 100) * toCell.area
+
+    if (change.class === 'loss') {
+      losses.push({
+        latitude: toCell.latitude,
+        longitude: toCell.longitude,
+        bounds: toCell.bounds,
+        ...(toCell.h3Index && { h3Index: toCell.h3Index }),
+        fromPercentage: fromCell.vegetationPercentage,
+        toPercentage: toCell.vegetationPercentage,
+        vegetationDelta: change.vegetationDelta,
+        ndviDelta: change.ndviDelta,
+        areaLost: (-change.vegetationDelta / 100) * toCell.area
+      })
+    }
+  })
+
+  const hotspots = losses
+    .sort((a, b) => b.areaLost - a.areaLost)
+    .slice(0, hotspotCount)
+    .map((hotspot, i) => ({ rank: i + 1, ...hotspot }))
+
+  return {
+    fromYear,
+    toYear,
+    minChange,
+    summary: {
+      ...summary,
+      measuredArea,
+      meanVegetationDelta: measuredArea > 0 ? deltaSum / measuredArea : null,
+      vegetationAreaChange
+    },
+    hotspots
+  }
+}
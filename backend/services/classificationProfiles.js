@@ -0,0 +1,108 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.join(__dirname, '..', '..')
+
+// Named classification profiles: per-index weights and normalisation ranges
+// used to turn vegetation indices into a vegetation percentage, plus the cell
+// and map thresholds. Loaded from <CLASSIFICATION_PROFILES_FILE> (default
+// data/classification/profiles.json). A range [from, to] maps `from` to 0 and
+// `to` to 1; a descending range inverts the index (bare soil).
+const DEFAULT_PROFILE = 'temperate'
+const INDEX_NAMES = ['ndvi', 'evi', 'gndvi', 'bsi', 'msavi2']
+const THRESHOLD_NAMES = ['vegetatedCell', 'mapDisplay']
+
+let profiles = null
+
+function getProfilesPath() {
+  return path.resolve(ROOT_DIR, process.env.CLASSIFICATION_PROFILES_FILE || 'data/classification/profiles.json')
+}
+
+function loadProfiles() {
+  const profilesPath = getProfilesPath()
+  const loaded = {}
+
+  if (!fs.existsSync(profilesPath)) {
+    console.error(`⚖️ Classification profiles not found: ${profilesPath}`)
+    return loaded
+  }
+
+  const config = JSON.parse(fs.readFileSync(profilesPath, 'utf8'))
+  for (const [name, profile] of Object.entries(config)) {
+    const problem = validateProfile(profile)
+    if (problem) {
+      console.error(`⚖️ Skipping classification profile "${name}": ${problem}`)
+      continue
+    }
+    loaded[name] = { name, ...profile }
+  }
+
+  console.log(`⚖️ Classification profiles: ${Object.keys(loaded).join(', ') || 'none'}`)
+  return loaded
+}
+
+function validateProfile(profile) {
+  const indices = Object.entries(profile.indices || {})
+  if (indices.length === 0) return 'no indices defined'
+
+  for (const [index, { weight, range }] of indices) {
+    if (!INDEX_NAMES.includes(index)) return `unknown index "${index}"`
+    if (!Number.isFinite(weight) || weight < 0) return `${index} weight must be a non-negative number`
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] === range[1]) {
+      return `${index} range must be two different numbers`
+    }
+  }
+
+  for (const threshold of THRESHOLD_NAMES) {
+    if (!Number.isFinite(profile.thresholds?.[threshold])) return `thresholds.${threshold} must be a number`
+  }
+  return null
+}
+
+function getProfiles() {
+  if (!profiles) {
+    profiles = loadProfiles()
+  }
+  return profiles
+}
+
+export function getClassificationProfile(name = null) {
+  const profileName = name || process.env.CLASSIFICATION_PROFILE || DEFAULT_PROFILE
+  const profile = getProfiles()[profileName]
+
+  if (!profile) {
+    throw new Error(`Unknown classification profile: ${profileName}`)
+  }
+  return profile
+}
+
+export function listClassificationProfiles() {
+  const defaultName = process.env.CLASSIFICATION_PROFILE || DEFAULT_PROFILE
+  return Object.values(getProfiles()).map(profile => ({
+    name: profile.name,
+    label: profile.label || profile.name,
+    description: profile.description || '',
+    default: profile.name === defaultName
+  }))
+}
+
+// Weighted mean of the normalised indices as a vegetation percentage (0-100)
+export function scoreVegetationIndices(indices, profile) {
+  let vegetationScore = 0
+  let weightSum = 0
+
+  for (const [index, { weight, range }] of Object.entries(profile.indices)) {
+    const value = indices[index]
+    if (value === undefined || value === null || isNaN(value)) continue
+
+    const [from, to] = range
+    const normalized = Math.max(0, Math.min(1, (value - from) / (to - from)))
+    vegetationScore += normalized * weight
+    weightSum += weight
+  }
+
+  return weightSum > 0 ? Math.max(0, Math.min(100, (vegetationScore / weightSum) * 100)) : 0
+}
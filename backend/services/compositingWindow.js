@@ -0,0 +1,85 @@
+// Peak-growing-season compositing windows. Imagery is composited over the
+// months when vegetation is greenest, which depends on the hemisphere and the
+// climate zone: June-August is winter in Sydney and the dry season in much of
+// the tropics. Windows are given as month-day pairs for the northern
+// hemisphere and shifted six months for southern-hemisphere cities.
+
+export const CLIMATE_ZONES = {
+  equatorial: { label: 'Equatorial (year-round growth)', start: '01-01', end: '12-31' },
+  tropical: { label: 'Tropical wet-dry (end of the wet season)', start: '08-01', end: '10-31' },
+  arid: { label: 'Arid (whole year, clear-sky composite)', start: '01-01', end: '12-31' },
+  mediterranean: { label: 'Mediterranean (wet-season spring)', start: '03-01', end: '05-31' },
+  subtropical: { label: 'Humid subtropical (summer)', start: '06-01', end: '08-31' },
+  temperate: { label: 'Temperate (summer)', start: '06-01', end: '08-31' },
+  boreal: { label: 'Boreal (short summer)', start: '07-01', end: '08-31' }
+}
+
+const MONTH_DAY_PATTERN = /^(\d{2})-(\d{2})$/
+
+// Latitude-only fallback when the climate zone is not given; arid and
+// mediterranean climates cannot be told apart by latitude and must be requested
+export function inferClimateZone(latitude) {
+  const absLat = Math.abs(latitude)
+  if (absLat < 10) return 'equatorial'
+  if (absLat < 23.5) return 'tropical'
+  if (absLat < 35) return 'subtropical'
+  if (absLat < 55) return 'temperate'
+  return 'boreal'
+}
+
+export function isValidMonthDay(value) {
+  const match = typeof value === 'string' && value.match(MONTH_DAY_PATTERN)
+  if (!match) return false
+  const month = parseInt(match[1])
+  const day = parseInt(match[2])
+  // 2024 is a leap year, so 02-29 is accepted
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(2024, month)
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+function shiftMonthDay(monthDay, months) {
+  const [month, day] = monthDay.split('-').map(Number)
+  const shiftedMonth = ((month - 1 + months) % 12) + 1
+  // Clamp so 08-31 shifts to 02-29 (02-28 outside leap years) rather than an invalid date
+  const shiftedDay = Math.min(day, daysInMonth(2024, shiftedMonth))
+  return `${String(shiftedMonth).padStart(2, '0')}-${String(shiftedDay).padStart(2, '0')}`
+}
+
+// Window template for a city: { start, end, climateZone, hemisphere, source }
+export function resolveCompositingWindow(latitude, { climateZone, window } = {}) {
+  const hemisphere = latitude < 0 ? 'southern' : 'northern'
+
+  if (window) {
+    return { start: window.start, end: window.end, climateZone: climateZone || null, hemisphere, source: 'request' }
+  }
+
+  const zone = climateZone || inferClimateZone(latitude)
+  const { start, end } = CLIMATE_ZONES[zone]
+  const isFullYear = start === '01-01' && end === '12-31'
+
+  if (hemisphere === 'southern' && !isFullYear) {
+    return { start: shiftMonthDay(start, 6), end: shiftMonthDay(end, 6), climateZone: zone, hemisphere, source: climateZone ? 'climate-zone' : 'latitude' }
+  }
+  return { start, end, climateZone: zone, hemisphere, source: climateZone ? 'climate-zone' : 'latitude' }
+}
+
+// Dates for one analysis year. Windows that wrap past December end in that
+// year (a 12-01 to 02-28 window for 2024 runs from 2023-12-01 to 2024-02-28)
+export function getWindowDates(window, year) {
+  const wraps = window.end < window.start
+  const startYear = wraps ? year - 1 : year
+  return {
+    from: formatDate(startYear, window.start),
+    to: formatDate(year, window.end)
+  }
+}
+
+function formatDate(year, monthDay) {
+  const [month, day] = monthDay.split('-').map(Number)
+  // 02-29 falls back to 02-28 outside leap years
+  const clampedDay = Math.min(day, daysInMonth(year, month))
+  return `${year}-${String(month).padStart(2, '0')}-${String(clampedDay).padStart(2, '0')}`
+}
@@ -0,0 +1,115 @@
+// Concurrency helpers for cell processing: a bounded worker pool, a shared
+// requests-per-second limiter and retries with exponential backoff. Every wait
+// takes an optional AbortSignal and rejects with its reason once it is aborted
+
+// Longest wait a provider's Retry-After header can ask for
+const MAX_RETRY_AFTER_MS = 30000
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+export async function runWorkerPool(items, worker, concurrency = 1) {
+  // Results keep the order of items regardless of completion order
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await worker(items[index], index)
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length))
+  await Promise.all(Array.from({ length: workerCount }, runWorker))
+  return results
+}
+
+export function createRateLimiter(requestsPerSecond) {
+  // Spaces calls evenly; every caller sharing the limiter shares the budget
+  if (!requestsPerSecond || !Number.isFinite(requestsPerSecond)) {
+    return { acquire: async (signal) => signal?.throwIfAborted() }
+  }
+
+  const interval = 1000 / requestsPerSecond
+  let nextSlot = 0
+
+  return {
+    async acquire(signal) {
+      signal?.throwIfAborted()
+      const now = Date.now()
+      const slot = Math.max(now, nextSlot)
+      nextSlot = slot + interval
+      if (slot > now) {
+        await sleep(slot - now, signal)
+      }
+    }
+  }
+}
+
+export function classifyError(error) {
+  // Map provider errors to a failure reason and whether a retry may help
+  if (error.reason) {
+    return { reason: error.reason, transient: Boolean(error.transient), retryAfterMs: null }
+  }
+
+  const status = error.response?.status
+  if (status === 429) {
+    const retryAfter = parseFloat(error.response.headers?.['retry-after'])
+    return { reason: 'rate-limited', transient: true, retryAfterMs: isNaN(retryAfter) ? null : retryAfter * 1000 }
+  }
+  if (status === 401 || status === 403) return { reason: 'unauthorized', transient: false, retryAfterMs: null }
+  if (status >= 500) return { reason: 'server-error', transient: true, retryAfterMs: null }
+  if (status >= 400) return { reason: 'client-error', transient: false, retryAfterMs: null }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return { reason: 'timeout', transient: true, retryAfterMs: null }
+  }
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'].includes(error.code)) {
+    return { reason: 'network-error', transient: true, retryAfterMs: null }
+  }
+
+  return { reason: 'error', transient: false, retryAfterMs: null }
+}
+
+export async function withRetry(task, { retries = 3, baseDelayMs = 500, maxDelayMs = 8000, onRetry = null, signal = null } = {}) {
+  // Retries transient failures with exponential backoff and jitter; the final
+  // error carries its classification and the number of attempts made.
+  // An aborted signal stops retrying at once
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt)
+    } catch (error) {
+      if (signal?.aborted) throw error
+      const { reason, transient, retryAfterMs } = classifyError(error)
+
+      if (!transient || attempt > retries) {
+        error.reason = reason
+        error.attempts = attempt
+        throw error
+      }
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1))
+      const delay = retryAfterMs !== null ? Math.min(retryAfterMs, MAX_RETRY_AFTER_MS) : backoff / 2 + Math.random() * backoff / 2
+      if (onRetry) {
+        onRetry({ attempt, reason, delay, error })
+      }
+      await sleep(delay, signal)
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import * as turf from '@turf/turf'
+import { calculateScores } from './scoringModels.js'
+import { calculateTrend } from './trendStatistics.js'
+import { repairPolygonFeature } from './boundaryUpload.js'
+
+// Per-district breakdown from an uploaded FeatureCollection of wards or
+// neighbourhoods. Cells are weighted by the area they share with each
+// district, so cells straddling a district border count towards both.
+const MAX_DISTRICTS = 500
+
+// Null when the collection is usable, otherwise the reason it is not
+export function validateDistrictCollection(collection) {
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    return 'districts must be a GeoJSON FeatureCollection'
+  }
+  if (collection.features.length === 0) return 'districts has no features'
+  if (collection.features.length > MAX_DISTRICTS) return `districts can have at most ${MAX_DISTRICTS} features`
+
+  const invalid = collection.features.findIndex(feature => !['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type))
+  if (invalid !== -1) return `districts feature ${invalid} is not a Polygon or MultiPolygon`
+  return null
+}
+
+function getDistrictName(feature, index) {
+  const properties = feature.properties || {}
+  return properties.name || properties.NAME || properties.Name || properties.district || feature.id || `District ${index + 1}`
+}
+
+// Coverage, area, score and trend per district. `coverageByYear` holds each
+// year's gridResults over the same grid as `gridResults` (the analysis year)
+export function analyzeDistricts(collection, { gridResults, coverageByYear, vegetatedCellThreshold, scoringModel }) {
+  const cellBoxes = gridResults.map(cell => cell.bounds)
+  const years = Object.keys(coverageByYear).map(Number).sort((a, b) => a - b)
+
+  const districts = collection.features.map((uploaded, index) => {
+    const name = String(getDistrictName(uploaded, index))
+
+    // Districts go through the boundary repair (closed rings, bow-ties split);
+    // one that still cannot be intersected is reported invalid, not fatal
+    let feature
+    const weights = []
+    try {
+      feature = repairPolygonFeature(uploaded)
+      const districtBox = turf.bbox(feature)
+
+      // Area (km²) each cell shares with the district
+      gridResults.forEach((cell, i) => {
+        if (!boxesOverlap(cellBoxes[i], districtBox)) return
+        const overlap = turf.intersect(turf.feature(cell.geometry), feature)
+        const area = overlap ? turf.area(overlap) / 1000000 : 0
+        if (area > 0) weights.push({ index: i, area })
+      })
+    } catch (error) {
+      console.warn(`⚠️ District ${name} has invalid geometry: ${error.message}`)
+      return invalidDistrict(index, name, uploaded, error.message)
+    }
+
+    const area = weights.reduce((sum, { area }) => sum + area, 0)
+    const coverageFor = (cells) => districtCoverage(cells, weights, vegetatedCellThreshold)
+    const { percentage, greenspaceArea } = coverageFor(gridResults)
+
+    const series = years.map(year => ({ year, percentage: coverageFor(coverageByYear[year].gridResults).percentage }))
+    const trend = area > 0 ? calculateTrend(series.map(point => ({ x: point.year, y: point.percentage }))) : null
+
+    // Score with the district's share of each cell, in the city's scoring model
+    // (per-capita needs a population and falls back to the percentage model)
+    const districtCells = weights.map(({ index, area: sharedArea }) => ({ ...gridResults[index], area: sharedArea }))
+    const scoring = area > 0
+      ? calculateScores({ percentage, greenspaceArea, gridResults: districtCells }, scoringModel === 'per-capita' ? 'percentage' : scoringModel)
+      : null
+
+    return {
+      id: index + 1,
+      name,
+      geometry: feature.geometry,
+      area,
+      cellCount: weights.length,
+      percentage,
+      greenspaceArea,
+      score: scoring?.score ?? null,
+      grade: scoring?.grade ?? null,
+      scoringModel: scoring?.model ?? null,
+      series,
+      trend,
+      invalid: null
+    }
+  })
+
+  const invalid = districts.filter(district => district.invalid).length
+  const unmatched = districts.filter(district => district.area === 0).length - invalid
+  console.log(`🏘️ District breakdown: ${districts.length} districts${unmatched ? `, ${unmatched} outside the analysed area` : ''}${invalid ? `, ${invalid} with invalid geometry` : ''}`)
+
+  return districts
+}
+
+function invalidDistrict(index, name, feature, reason) {
+  return {
+    id: index + 1,
+    name,
+    geometry: feature.geometry,
+    area: 0,
+    cellCount: 0,
+    percentage: 0,
+    greenspaceArea: 0,
+    score: null,
+    grade: null,
+    scoringModel: null,
+    series: [],
+    trend: null,
+    invalid: reason
+  }
+}
+
+// Same rules as the city coverage: vegetation only counts in vegetated cells,
+// and unmeasured (cloudy) cells are left out of the measured area
+function districtCoverage(cells, weights, vegetatedCellThreshold) {
+  let greenspaceArea = 0
+  let measuredArea = 0
+  for (const { index, area: sharedArea } of weights) {
+    const vegetation = cells[index].vegetationPercentage
+    if (vegetation === null) continue
+    measuredArea += sharedArea
+    if (vegetation > vegetatedCellThreshold) {
+      greenspaceArea += sharedArea * vegetation / 100
+    }
+  }
+  return { percentage: measuredArea > 0 ? (greenspaceArea / measuredArea) * 100 : 0, greenspaceArea }
+}
+
+function boxesOverlap(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+}
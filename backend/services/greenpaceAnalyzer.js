@@ -1,29 +1,118 @@
-import axios from 'axios'
 import * as turf from '@turf/turf'
+import * as h3 from 'h3-js'
 import dotenv from 'dotenv'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getImageryProvider, getProviderRateLimiter } from './imageryProviders.js'
+import { runWorkerPool, withRetry } from './concurrency.js'
+import { createSeededRandom, generateSeed } from './random.js'
+import { matchLandCover } from './landCoverLayers.js'
+import { hasSentinelCredentials } from './sentinelAuth.js'
+import { resolveCompositingWindow, getWindowDates } from './compositingWindow.js'
+import { buildPhenologyPeriods, calculatePhenologyMetrics } from './phenology.js'
+import { getClassificationProfile, scoreVegetationIndices } from './classificationProfiles.js'
+import { classifyPixel, PIXEL_CLASSES, emptyLandCover, landCoverFromVegetation, applyCroplandFromPhenology, summarizeLandCover } from './landCoverClasses.js'
+import { detectVegetationChange, isMeasuredCell } from './changeDetection.js'
+import { calculateTrend } from './trendStatistics.js'
+import { calculateScores, getDefaultScoringModel, validateScoringModel } from './scoringModels.js'
+import { analyzeAccessibility } from './accessibility.js'
+import { analyzeFragmentation } from './landscapeMetrics.js'
+import { analyzeDistricts } from './districtBreakdown.js'
+import { getCellCache, getAnalysisCache, hashKey } from './resultCache.js'
 
 // Load .env file from root directory
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 dotenv.config({ path: path.join(__dirname, '..', '..', '.env') })
 
-// SIMPLIFIED PIPELINE: Sentinel API Configuration
-const SENTINEL_API_KEY = process.env.VITE_SENTINEL_API_KEY
-
+// SIMPLIFIED PIPELINE: Sentinel API Configuration (OAuth client credentials)
 console.log('🔄 SIMPLIFIED PIPELINE ACTIVE')
-console.log('Sentinel API:', SENTINEL_API_KEY ? 'CONFIGURED' : 'MISSING')
+console.log('Sentinel API:', hasSentinelCredentials() ? 'CONFIGURED' : 'MISSING')
 
 // Performance optimization for city planners
-const MAX_GRID_CELLS = 100 // Reduced for faster processing
-const GRID_SIZE = 0.004 // ~440m grid cells for good coverage
+const MAX_GRID_CELLS = parseInt(process.env.GRID_CELL_BUDGET) || 100 // Default cell budget
+const GRID_SIZE = 0.004 // ~440m grid cells for good coverage (finest quadtree level)
+
+// Cells are processed by a bounded worker pool; provider calls that fail
+// transiently are retried with exponential backoff
+const CELL_CONCURRENCY = parseInt(process.env.CELL_CONCURRENCY) || 8
+const CELL_MAX_RETRIES = parseInt(process.env.CELL_MAX_RETRIES) || 3
+const CELL_RETRY_BASE_DELAY_MS = parseInt(process.env.CELL_RETRY_BASE_DELAY_MS) || 500
+
+// Cells whose imagery is mostly cloud or shadow are left unmeasured instead of
+// scored: they are excluded from coverage, the score and change detection
+const CLEAR_SKY_THRESHOLD = process.env.CLEAR_SKY_THRESHOLD ? parseFloat(process.env.CLEAR_SKY_THRESHOLD) : 0.3
+
+// Vegetation percentage from which a cell counts as a green patch for accessibility
+const GREEN_PATCH_THRESHOLD = process.env.GREEN_PATCH_THRESHOLD ? parseFloat(process.env.GREEN_PATCH_THRESHOLD) : 50
+
+// Vegetation change (percentage points) for a cell to count as gain or loss
+const CHANGE_MIN_DELTA = process.env.CHANGE_MIN_DELTA ? parseFloat(process.env.CHANGE_MIN_DELTA) : 10
+
+// Adaptive quadtree refinement: split cells whose vegetation differs from their
+// neighbours (std dev in percentage points) or that straddle the city boundary
+const REFINE_VARIANCE_THRESHOLD = 5
+const REFINE_EDGE_WEIGHT = 10
+const METERS_PER_DEGREE = 111320 // North-south extent of one degree
+
+// Sentinel-2 imagery starts in 2015; every year in the range costs one
+// imagery request per cell, so the span is capped as well
+export const FIRST_IMAGERY_YEAR = 2015
+export const MAX_YEAR_SPAN = 10
+
+// Hexagonal grid: H3 cells are near equal-area at every latitude, so cell
+// statistics can be compared between cities
+export const GRID_TYPES = ['quadtree', 'hexagon']
+const HEX_MAX_RESOLUTION = 8 // ~0.74 km² cells, comparable to the finest quadtree level
+const HEX_MIN_RESOLUTION = 4
+export const HEX_REQUEST_MAX_RESOLUTION = 10 // ~0.015 km² cells, for small custom areas
+const HEX_BOUNDARY_ALLOWANCE = 1.2 // extra cells on the boundary ring
+
+const LAND_COVER_ICONS = {
+  water: '🌊',
+  park: '🌳',
+  industrial: '🏭',
+  road: '🛣️'
+}
 
-export async function analyzeGreenspace(cityData, boundaries, progressEmitter = null, sessionId = null, yearRange = null) {
+export async function analyzeGreenspace(cityData, boundaries, progressEmitter = null, sessionId = null, yearRange = null, options = {}) {
   try {
     const cityName = cityData.city || cityData.formatted_address
+    const provider = getImageryProvider(options.provider)
+    const profile = getClassificationProfile(options.classificationProfile)
+    const seed = options.seed ?? generateSeed()
+    const scoringModel = options.scoringModel || getDefaultScoringModel()
+    const population = options.population ?? (parseInt(cityData.population) || null)
+    validateScoringModel(scoringModel, population)
+
+    // Peak-growing-season window from the city's hemisphere and climate zone
+    const [, cityLatitude] = turf.centroid(boundaries).geometry.coordinates
+    const compositingWindow = resolveCompositingWindow(cityLatitude, {
+      climateZone: options.climateZone,
+      window: options.compositingWindow
+    })
+
+    // Shared per-analysis settings threaded through every cell
+    const context = {
+      provider,
+      profile,
+      seed,
+      providerAvailable: provider.isAvailable(),
+      limiter: getProviderRateLimiter(provider),
+      concurrency: options.concurrency || CELL_CONCURRENCY,
+      clearSkyThreshold: options.clearSkyThreshold ?? CLEAR_SKY_THRESHOLD,
+      compositingWindow,
+      refresh: Boolean(options.refresh),
+      cacheStats: { hits: 0, misses: 0 },
+      signal: options.signal // aborted when the analysis job is cancelled
+    }
     
     console.log('🔄 SIMPLIFIED PIPELINE: Starting vegetation analysis for:', cityName)
+    console.log('🛰️ Imagery provider:', provider.name, '| Profile:', profile.name, '| Seed:', seed, '| Concurrency:', context.concurrency)
+    console.log(`🗓️ Compositing window: ${compositingWindow.start} to ${compositingWindow.end} (${compositingWindow.climateZone || 'custom'}, ${compositingWindow.hemisphere} hemisphere, from ${compositingWindow.source})`)
+    if (!context.providerAvailable) {
+      console.log(`⚠️ Imagery provider "${provider.name}" is not configured, cells will use geographic estimation`)
+    }
 
     const emitProgress = (type, data) => {
       if (progressEmitter && sessionId) {
@@ -38,6 +127,46 @@ export async function analyzeGreenspace(cityData, boundaries, progressEmitter =
       }
     }
 
+    const { startYear, endYear } = normalizeYearRange(yearRange)
+    const changeYears = resolveChangeYears(options.changeDetection, startYear, endYear)
+    const cellBudget = getCellBudget(options.cellBudget)
+    const gridType = options.gridType || 'quadtree'
+    const greenPatchThreshold = options.greenPatchThreshold ?? GREEN_PATCH_THRESHOLD
+    const minChange = options.changeDetection?.minChange ?? CHANGE_MIN_DELTA
+
+    // The same boundary, years and settings give the same result. Without an
+    // explicit seed any previous run matches; the cached result keeps its seed
+    const analysisKey = hashKey({
+      city: cityName,
+      customArea: cityData.customArea,
+      boundary: boundaries.geometry,
+      years: [startYear, endYear],
+      provider: provider.name,
+      providerAvailable: context.providerAvailable,
+      profile,
+      seed: options.seed,
+      cellBudget,
+      gridType,
+      hexResolution: options.hexResolution,
+      clearSkyThreshold: context.clearSkyThreshold,
+      compositingWindow,
+      phenology: options.phenology,
+      changeDetection: changeYears && { ...changeYears, minChange },
+      scoringModel,
+      population,
+      greenPatchThreshold,
+      districts: options.districts
+    })
+    const cached = context.refresh ? undefined : getAnalysisCache().get(analysisKey)
+    if (cached) {
+      console.log(`💾 Cached analysis for ${cityName} from ${cached.analysis.analysisDate}`)
+      emitProgress('log', {
+        message: `Using cached analysis from ${new Date(cached.analysis.analysisDate).toLocaleString()}`,
+        status: 'Loading cached analysis...'
+      })
+      return { ...cached, analysis: { ...cached.analysis, cache: { analysis: 'hit', cells: { hits: 0, misses: 0 } } } }
+    }
+
     // Step 1: Data Preprocessing - Calculate city area and create analysis grid
     const cityArea = calculateArea(boundaries)
     
@@ -46,18 +175,22 @@ export async function analyzeGreenspace(cityData, boundaries, progressEmitter =
       status: 'Preprocessing satellite data...' 
     })
 
-    // Create simplified analysis grid
+    // Analysis grid: adaptive quadtree (refined against the last year of the
+    // requested range) or equal-area hexagons
     const bbox = turf.bbox(boundaries)
-    const grid = createSimplifiedGrid(bbox, boundaries)
+    const grid = gridType === 'hexagon'
+      ? createHexagonalGrid(boundaries, cityArea, cellBudget, options.hexResolution)
+      : await createAdaptiveGrid(bbox, boundaries, cellBudget, endYear, context, emitProgress)
+    const gridSummary = summarizeGrid(grid, gridType, cellBudget)
     
     emitProgress('log', { 
-      message: `Step 1: Created ${grid.length} analysis cells for vegetation detection`,
+      message: gridType === 'hexagon'
+        ? `Step 1: Created ${grid.length} hexagonal analysis cells (H3 resolution ${gridSummary.hexResolution}) for vegetation detection`
+        : `Step 1: Created ${grid.length} adaptive analysis cells (depth 0-${gridSummary.maxDepth}) for vegetation detection`,
       status: 'Processing satellite imagery...' 
     })
 
-    // Simplified vegetation analysis - current year only
-    const currentYear = new Date().getFullYear()
-    const currentCoverage = await analyzeVegetationCoverage(grid, currentYear, emitProgress)
+    const currentCoverage = await analyzeVegetationCoverage(grid, endYear, context, emitProgress)
     
     emitProgress('log', { 
       message: `Step 6: Validation - ${currentCoverage.percentage.toFixed(2)}% vegetation coverage detected`,
@@ -67,36 +200,114 @@ export async function analyzeGreenspace(cityData, boundaries, progressEmitter =
     // Step 6: Validation & Accuracy Assessment
     const validationResults = calculateValidationMetrics(currentCoverage)
     
-    // Simple historical comparison (minimal for performance)
-    const historicalData = await getSimpleHistoricalComparison(grid, currentYear - 1, emitProgress)
+    // Per-year coverage series over the same grid for the whole range
+    const { series: historicalData, coverageByYear } = await analyzeHistoricalSeries(grid, startYear, endYear, currentCoverage, context, emitProgress)
+
+    // Mann-Kendall / Sen's slope trend of the city series and of every cell
+    const historicalTrend = analyzeHistoricalTrend(historicalData, coverageByYear, currentCoverage.gridResults)
+
+    // Per-cell change between two years of the series, shown on the map cells
+    const changeDetection = changeYears && coverageByYear[changeYears.fromYear] && coverageByYear[changeYears.toYear]
+      ? detectVegetationChange(coverageByYear[changeYears.fromYear].gridResults, coverageByYear[changeYears.toYear].gridResults, {
+          ...changeYears,
+          minChange,
+          targetCells: currentCoverage.gridResults
+        })
+      : null
+    if (changeDetection) {
+      emitProgress('log', {
+        message: `Change ${changeDetection.fromYear}-${changeDetection.toYear}: ${changeDetection.summary.gain.cells} gain, ${changeDetection.summary.loss.cells} loss, ${changeDetection.summary.stable.cells} stable cells`,
+        status: 'Detecting vegetation change...'
+      })
+    }
+
+    // Optional monthly/seasonal profile of the analysis year
+    const phenology = options.phenology
+      ? await analyzePhenology(grid, endYear, options.phenology, currentCoverage.gridResults, context, emitProgress)
+      : null
     
-    // Calculate final score for city planners
-    const score = calculatePlanningScore(currentCoverage.percentage)
+    // Distance from every cell to the nearest green patch
+    const accessibility = analyzeAccessibility(currentCoverage.gridResults, greenPatchThreshold)
+    emitProgress('log', {
+      message: `Accessibility: ${accessibility.withinDistance[300].percentage.toFixed(1)}% of the city within 300 m and ${accessibility.withinDistance[500].percentage.toFixed(1)}% within 500 m of ${accessibility.greenPatches} green patches`,
+      status: 'Measuring distance to green space...'
+    })
+
+    // Contiguous green patches and landscape fragmentation metrics
+    const fragmentation = analyzeFragmentation(currentCoverage.gridResults, accessibility.greenThreshold)
+    emitProgress('log', {
+      message: `Fragmentation: ${fragmentation.patchCount} green patches, largest patch index ${(fragmentation.largestPatchIndex ?? 0).toFixed(1)}%`,
+      status: 'Labelling green patches...'
+    })
+
+    // Planning score from the selected model, with every computable model's breakdown
+    const scoring = calculateScores({
+      percentage: currentCoverage.percentage,
+      greenspaceArea: currentCoverage.area,
+      gridResults: currentCoverage.gridResults,
+      population
+    }, scoringModel)
+    const score = scoring.score
+
+    // Optional breakdown per uploaded district or neighbourhood
+    const districts = options.districts
+      ? analyzeDistricts(options.districts, {
+          gridResults: currentCoverage.gridResults,
+          coverageByYear,
+          vegetatedCellThreshold: profile.thresholds.vegetatedCell,
+          scoringModel
+        })
+      : null
     
     emitProgress('log', { 
-      message: `Analysis complete! Planning Score: ${score}/100`,
+      message: `Analysis complete! Planning Score (${scoring.label}): ${score}/100, grade ${scoring.grade.grade}`,
       status: 'Generating visualization data...' 
     })
     
     // Prepare results for city planners
     const analysisResult = {
       score: score,
+      scoring: scoring,
       greenspacePercentage: currentCoverage.percentage,
       greenspaceArea: currentCoverage.area,
       totalArea: cityArea,
       historicalData: historicalData,
+      ...(historicalTrend && { historicalTrend }),
+      ...(phenology && { phenology }),
+      ...(changeDetection && { changeDetection }),
+      accessibility: accessibility,
+      fragmentation: fragmentation,
+      ...(districts && { districts }),
+      // Class totals after the phenology pass, which can reassign grass to cropland
+      landCover: summarizeLandCover(currentCoverage.gridResults),
       gridData: currentCoverage.gridResults || [],
       analysis: {
         method: 'Comprehensive multi-index vegetation detection for urban planning',
-        dataSource: 'Sentinel satellite imagery',
-        resolution: `${GRID_SIZE * 111}km grid cells (~${Math.round(GRID_SIZE * 111 * 1000)}m resolution)`,
+        dataSource: provider.label,
+        imageryProvider: provider.name,
+        seed: seed,
+        resolution: gridType === 'hexagon'
+          ? `H3 hexagonal cells (resolution ${gridSummary.hexResolution}, ~${gridSummary.hexAreaKm2.toFixed(2)} km² each)`
+          : `Adaptive quadtree cells (~${gridSummary.minCellSizeMeters}m–${gridSummary.maxCellSizeMeters}m resolution)`,
+        grid: gridSummary,
         confidence: validationResults.confidence,
         analysisDate: new Date().toISOString(),
         totalCells: grid.length,
         vegetationCells: currentCoverage.vegetationCells,
+        analysisYear: endYear,
+        concurrency: context.concurrency,
+        clearSkyThreshold: context.clearSkyThreshold,
+        classificationProfile: profile,
+        compositingWindow: { ...compositingWindow, ...currentCoverage.window },
+        cellsWithImagery: currentCoverage.cellsWithImagery,
+        unmeasuredCells: currentCoverage.unmeasured,
+        cellFailures: currentCoverage.failures,
+        // 'miss' or 'refresh' here; analyses served from the cache report 'hit'
+        cache: { analysis: context.refresh ? 'refresh' : 'miss', cells: context.cacheStats },
+        yearRange: { startYear, endYear },
         pipeline: 'Step 1 (Preprocessing) + Step 6 (Validation)',
         targetUser: 'City Planners',
-        vegetationIndices: ['NDVI', 'EVI', 'GNDVI', 'BSI', 'MSAVI2']
+        vegetationIndices: ['NDVI', 'EVI', 'GNDVI', 'BSI', 'MSAVI2', 'NDWI', 'NDBI']
       },
       validation: validationResults,
       cityInfo: {
@@ -106,15 +317,23 @@ export async function analyzeGreenspace(cityData, boundaries, progressEmitter =
         latitude: parseFloat(cityData.latitude),
         longitude: parseFloat(cityData.longitude),
         area: cityArea,
+        ...(population && { population }),
+        ...(cityData.customArea && { customArea: cityData.customArea }),
         boundaries: boundaries
       }
     }
 
+    getAnalysisCache().set(analysisKey, analysisResult)
+    console.log(`💾 Cell cache: ${context.cacheStats.hits} hits, ${context.cacheStats.misses} misses`)
     console.log('🔄 SIMPLIFIED PIPELINE COMPLETE')
     
     return analysisResult
 
   } catch (error) {
+    if (options.signal?.aborted) {
+      console.log('🛑 SIMPLIFIED PIPELINE CANCELLED')
+      throw error
+    }
     console.error('🔄 SIMPLIFIED PIPELINE ERROR:', error)
     if (progressEmitter && sessionId) {
       progressEmitter.emit('progress', {
@@ -130,333 +349,297 @@ export async function analyzeGreenspace(cityData, boundaries, progressEmitter =
   }
 }
 
-async function analyzeVegetationCoverage(grid, year, emitProgress = null) {
+async function analyzeVegetationCoverage(grid, year, context, emitProgress = null, phase = 'current') {
   try {
     console.log(`🔄 ANALYZING ${grid.length} CELLS - Simplified vegetation detection`)
 
     let totalCells = grid.length
     let vegetationCells = 0
     let totalVegetationArea = 0
+    let cellsWithImagery = 0
+    let unmeasuredCells = 0
+    let unmeasuredArea = 0
     const gridResults = []
 
+    const failuresByReason = {}
+    let completedCells = 0
+
+    // Simple NDVI-based vegetation detection (reusing the refinement pass for its year)
+    const cellAnalyses = await runWorkerPool(grid, async (cell) => {
+      const cellAnalysis = cell.preview?.year === year
+        ? cell.preview.analysis
+        : await analyzeGridCellSimplified(cell, year, context)
+
+      completedCells++
+      
+      // Progress reporting for city planners
+      if (emitProgress && completedCells % 10 === 1) {
+        const percentage = (completedCells / grid.length) * 100
+        emitProgress('grid-progress', {
+          currentCell: completedCells,
+          totalCells: grid.length,
+          percentage: percentage.toFixed(1),
+          year,
+          phase,
+          status: `Analyzing ${year} vegetation: Cell ${completedCells}/${grid.length}`,
+          message: `${percentage.toFixed(0)}% complete`
+        })
+      }
+
+      return cellAnalysis
+    }, context.concurrency)
+
     for (let i = 0; i < grid.length; i++) {
       const cell = grid[i]
-      
-      // Simple NDVI-based vegetation detection
-      const cellAnalysis = await analyzeGridCellSimplified(cell, year)
+      const cellAnalysis = cellAnalyses[i]
       
       const cellVegetationPercentage = cellAnalysis.vegetationPercentage
-      const cellArea = calculateCellArea(cell)
-      
-      if (cellVegetationPercentage > 10) { // 10% threshold for vegetation
+      const cellArea = cell.area // clipped to the city boundary
+
+      if (cellAnalysis.source === context.provider.name) {
+        cellsWithImagery++
+      }
+
+      if (cellAnalysis.failure) {
+        failuresByReason[cellAnalysis.failure.reason] = (failuresByReason[cellAnalysis.failure.reason] || 0) + 1
+      }
+
+      if (cellVegetationPercentage === null) {
+        unmeasuredCells++
+        unmeasuredArea += cellArea
+      } else if (cellVegetationPercentage > context.profile.thresholds.vegetatedCell) { // vegetation cell threshold from the profile
         vegetationCells++
         totalVegetationArea += (cellArea * cellVegetationPercentage / 100)
       }
 
       // Store grid results for purple overlay visualization
       gridResults.push({
-        bounds: cell,
+        bounds: cell.bounds,
+        geometry: cell.geometry,
         vegetationPercentage: cellVegetationPercentage,
         ndvi: cellAnalysis.ndvi,
-        latitude: (cell[1] + cell[3]) / 2,
-        longitude: (cell[0] + cell[2]) / 2,
-        area: cellArea
+        source: cellAnalysis.source,
+        ...(cellAnalysis.referenceLayer && { referenceLayer: cellAnalysis.referenceLayer }),
+        ...(cellAnalysis.failure && { failure: cellAnalysis.failure }),
+        ...(cellAnalysis.clearSky && { clearSky: cellAnalysis.clearSky }),
+        landCover: cellAnalysis.landCover,
+        latitude: cell.center[1],
+        longitude: cell.center[0],
+        area: cellArea,
+        clipFraction: cell.clipFraction,
+        depth: cell.depth,
+        size: cell.size,
+        sizeMeters: Math.round(cell.size * METERS_PER_DEGREE),
+        ...(cell.h3Index && { h3Index: cell.h3Index })
       })
-      
-      // Progress reporting for city planners
-      if (emitProgress && i % 10 === 0) {
-        const percentage = (i / grid.length) * 100
-        emitProgress('grid-progress', {
-          currentCell: i + 1,
-          totalCells: grid.length,
-          percentage: percentage.toFixed(1),
-          status: `Analyzing vegetation: Cell ${i + 1}/${grid.length}`,
-          message: `${percentage.toFixed(0)}% complete`
-        })
-      }
     }
 
-    const overallPercentage = totalCells > 0 ? (totalVegetationArea / calculateGridTotalArea(grid)) * 100 : 0
+    // Coverage of the measured area only; unmeasured (cloudy) cells count for neither side
+    const measuredArea = calculateGridTotalArea(grid) - unmeasuredArea
+    const overallPercentage = measuredArea > 0 ? (totalVegetationArea / measuredArea) * 100 : 0
 
-    console.log(`🔄 VEGETATION ANALYSIS COMPLETE: ${overallPercentage.toFixed(2)}% coverage`)
+    console.log(`🔄 VEGETATION ANALYSIS COMPLETE (${year}): ${overallPercentage.toFixed(2)}% coverage`)
 
     return {
+      year: year,
       percentage: overallPercentage,
       area: totalVegetationArea,
       vegetationCells: vegetationCells,
       totalCells: totalCells,
+      cellsWithImagery: cellsWithImagery,
+      unmeasured: { cells: unmeasuredCells, area: unmeasuredArea },
+      window: getWindowDates(context.compositingWindow, year),
+      landCover: summarizeLandCover(gridResults),
+      failures: {
+        total: Object.values(failuresByReason).reduce((sum, count) => sum + count, 0),
+        byReason: failuresByReason
+      },
       gridResults: gridResults
     }
 
   } catch (error) {
-    console.error('🔄 VEGETATION ANALYSIS ERROR:', error)
+    if (!context.signal?.aborted) console.error('🔄 VEGETATION ANALYSIS ERROR:', error)
     throw error
   }
 }
 
-async function analyzeGridCellSimplified(cellBounds, year) {
+async function analyzeGridCellSimplified(cell, year, context) {
+  const { provider } = context
+  const [centerLon, centerLat] = cell.center
+  context.signal?.throwIfAborted()
+
+  // Noise for this cell and year is fixed by the analysis seed
+  const random = createSeededRandom(context.seed, centerLat, centerLon, year)
+
   try {
-    const [west, south, east, north] = cellBounds
-    const centerLat = (south + north) / 2
-    const centerLon = (west + east) / 2
-    
-    // Check if this is a water body first - should have 0% vegetation
-    if (isWaterBody(centerLat, centerLon)) {
-      console.log(`🌊 Water Body Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: 0% vegetation`)
-      return {
-        ndvi: 0.1,
-        vegetationPercentage: 0
-      }
-    }
-    
-    // Check if this is a known green space
-    const knownGreenSpace = getKnownGreenSpaces(centerLat, centerLon)
-    if (knownGreenSpace) {
-      console.log(`🌳 Known Green Space Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${knownGreenSpace.toFixed(1)}% vegetation`)
-      return {
-        ndvi: (knownGreenSpace / 100) * 0.8 + 0.1,
-        vegetationPercentage: knownGreenSpace
-      }
-    }
-    
-    // Check if this is industrial area - should have low vegetation
-    if (isIndustrialArea(centerLat, centerLon)) {
-      const lowVeg = Math.random() * 8 + 2 // 2-10%
-      console.log(`🏭 Industrial Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${lowVeg.toFixed(1)}% vegetation`)
-      return {
-        ndvi: (lowVeg / 100) * 0.8 + 0.1,
-        vegetationPercentage: lowVeg
-      }
-    }
+    // Use the imagery provider for comprehensive vegetation index calculation
+    const { indices: vegetationIndices, clearSky, landCover, failure } = await fetchCellIndices(cell, year, context)
     
-    // Check if this is a major road - should have very low vegetation
-    if (isMajorRoad(centerLat, centerLon)) {
-      const roadVeg = Math.random() * 5 + 1 // 1-6%
-      console.log(`🛣️ Road Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${roadVeg.toFixed(1)}% vegetation`)
+    if (failure?.reason === 'cloudy') {
+      // Too little clear sky to measure, and no estimate stands in for it
+      console.log(`☁️ Unmeasured Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${failure.message}`)
       return {
-        ndvi: (roadVeg / 100) * 0.8 + 0.1,
-        vegetationPercentage: roadVeg
+        ndvi: null,
+        vegetationPercentage: null,
+        source: 'unmeasured',
+        failure,
+        landCover: null,
+        clearSky
       }
     }
-    
-    // Use Sentinel API for comprehensive vegetation index calculation
-    const vegetationIndices = await getSentinelNDVI(centerLat, centerLon, year)
-    
+
     if (vegetationIndices && Object.keys(vegetationIndices).length > 0) {
       // Calculate comprehensive vegetation percentage using multiple indices
-      const vegetationPercentage = calculateComprehensiveVegetation(vegetationIndices)
+      const vegetationPercentage = scoreVegetationIndices(vegetationIndices, context.profile)
       
-      console.log(`📊 Sentinel Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${Object.keys(vegetationIndices).join(', ')} = ${vegetationPercentage.toFixed(1)}% vegetation`)
+      console.log(`📊 ${provider.name} Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${Object.keys(vegetationIndices).join(', ')} = ${vegetationPercentage.toFixed(1)}% vegetation`)
       
       return {
         ndvi: vegetationIndices.ndvi || 0.1,
         vegetationPercentage: vegetationPercentage,
-        vegetationIndices: vegetationIndices
+        vegetationIndices: vegetationIndices,
+        source: provider.name,
+        landCover,
+        ...(clearSky && { clearSky })
       }
     } else {
+      // Reference land-cover layers only fill cells the imagery could not measure
+      const reference = matchLandCover(centerLat, centerLon)
+      if (reference) {
+        const referenceVeg = sampleLandCoverVegetation(reference, random)
+        console.log(`${LAND_COVER_ICONS[reference.type] || '🗺️'} ${reference.name} Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: ${referenceVeg.toFixed(1)}% vegetation (${failure.reason})`)
+        return {
+          ndvi: (referenceVeg / 100) * 0.8 + 0.1,
+          vegetationPercentage: referenceVeg,
+          source: 'reference',
+          referenceLayer: reference.type,
+          failure,
+          landCover: landCoverFromVegetation(referenceVeg, reference.type),
+          ...(clearSky && { clearSky })
+        }
+      }
+
       // Fallback to geographic estimation
-      const estimatedVegetation = estimateVegetationByLocation(centerLat, centerLon)
+      const estimatedVegetation = estimateVegetationByLocation(centerLat, centerLon, random)
       const estimatedNDVI = (estimatedVegetation / 100) * 0.8 + 0.1
       
-      console.log(`📊 Estimated Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: NDVI=${estimatedNDVI.toFixed(3)}, Veg=${estimatedVegetation.toFixed(1)}%`)
+      console.log(`📊 Estimated Cell [${centerLat.toFixed(3)}, ${centerLon.toFixed(3)}]: NDVI=${estimatedNDVI.toFixed(3)}, Veg=${estimatedVegetation.toFixed(1)}% (${failure.reason})`)
       
       return {
         ndvi: estimatedNDVI,
-        vegetationPercentage: estimatedVegetation
+        vegetationPercentage: estimatedVegetation,
+        source: 'estimate',
+        failure,
+        landCover: landCoverFromVegetation(estimatedVegetation),
+        ...(clearSky && { clearSky })
       }
     }
     
   } catch (error) {
+    if (context.signal?.aborted) throw error
     console.error(`📊 Cell analysis error: ${error.message}`)
     
     // Fallback to geographic estimation
-    const [west, south, east, north] = cellBounds
-    const centerLat = (south + north) / 2
-    const centerLon = (west + east) / 2
-    
-    const estimatedVegetation = estimateVegetationByLocation(centerLat, centerLon)
+    const estimatedVegetation = estimateVegetationByLocation(centerLat, centerLon, random)
     const estimatedNDVI = (estimatedVegetation / 100) * 0.8 + 0.1
     
     return {
       ndvi: estimatedNDVI,
-      vegetationPercentage: estimatedVegetation
+      vegetationPercentage: estimatedVegetation,
+      source: 'estimate',
+      failure: { reason: 'error', message: error.message, attempts: 1 },
+      landCover: landCoverFromVegetation(estimatedVegetation)
     }
   }
 }
 
-async function getSentinelNDVI(lat, lon, year) {
-  try {
-    if (!process.env.VITE_SENTINEL_API_KEY) {
-      console.log('📊 No Sentinel API key, using geographic estimation')
-      return null
-    }
+async function fetchCellIndices(cell, year, context, window = getWindowDates(context.compositingWindow, year)) {
+  // Provider call behind the shared rate limiter, retried on transient errors.
+  // Resolves to { indices, clearSky } or { failure: { reason, message, attempts } };
+  // cloud-masked imagery below the clear-sky threshold fails with reason 'cloudy'
+  const { provider } = context
+  context.signal?.throwIfAborted()
 
-    // Use Sentinel Hub API for comprehensive vegetation index calculation
-    const sentinelEndpoint = `https://services.sentinel-hub.com/api/v1/statistics`
-    
-    // Calculate date range for the specified year (summer months for best vegetation)
-    const startDate = `${year}-06-01`
-    const endDate = `${year}-08-31`
-    
-    const requestBody = {
-      input: {
-        bounds: {
-          bbox: [lon - 0.001, lat - 0.001, lon + 0.001, lat + 0.001],
-          properties: {
-            crs: "http://www.opengis.net/def/crs/OGC/1.3/CRS84"
-          }
-        },
-        data: [
-          {
-            dataFilter: {
-              mosaickingOrder: "leastCC"
-            },
-            type: "sentinel-2-l2a"
-          }
-        ]
-      },
-      aggregation: {
-        timeRange: {
-          from: startDate,
-          to: endDate
-        },
-        aggregator: "MEAN"
-      },
-      calculations: {
-        ndvi: {
-          formula: "(B08 - B04) / (B08 + B04)"
-        },
-        evi: {
-          formula: "2.5 * (B08 - B04) / (B08 + 6 * B04 - 7.5 * B02 + 1)"
-        },
-        gndvi: {
-          formula: "(B08 - B03 + B04) / (B08 + B03 + B04)"
-        },
-        bsi: {
-          formula: "(B02 + B04 - B03) / (B02 + B04 + B03)"
-        },
-        msavi2: {
-          formula: "(2 * B08 + 1 - sqrt((2 * B08 + 1)^2 - 8 * (B08 - B04)^2)) / 2"
+  if (!context.providerAvailable) {
+    return { indices: null, failure: { reason: 'not-configured', message: `${provider.name} provider is not configured`, attempts: 0 } }
+  }
+
+  // Provider responses are cached per cell, date window and provider; refresh
+  // requests skip the lookup but still store the fresh response
+  const cacheKey = hashKey({
+    provider: provider.name,
+    bounds: cell.bounds,
+    year,
+    window,
+    clip: cell.clipFraction < 1 ? cell.geometry : null
+  })
+
+  let attempts = 0
+  try {
+    let result = context.refresh ? undefined : getCellCache().get(cacheKey)
+    if (result !== undefined) {
+      context.cacheStats.hits++
+    } else {
+      context.cacheStats.misses++
+      result = await withRetry(async (attempt) => {
+        attempts = attempt
+        await context.limiter.acquire(context.signal)
+        return provider.getCellIndices(cell.bounds, year, window, cell, context.signal)
+      }, {
+        retries: CELL_MAX_RETRIES,
+        baseDelayMs: CELL_RETRY_BASE_DELAY_MS,
+        signal: context.signal,
+        onRetry: ({ attempt, reason, delay }) => {
+          console.log(`🔁 ${provider.name} retry ${attempt}/${CELL_MAX_RETRIES} after ${reason}, waiting ${Math.round(delay)}ms`)
         }
-      }
+      })
+      getCellCache().set(cacheKey, result ?? null)
     }
 
-    const response = await axios.post(sentinelEndpoint, requestBody, {
-      headers: {
-        'Authorization': `Bearer ${process.env.VITE_SENTINEL_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 15000
-    })
+    const { clearSky = null, landCover = null, ...indices } = result || {}
 
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      const data = response.data.data[0]
-      const indices = {}
-      
-      // Extract all vegetation indices
-      if (data.ndvi !== null && data.ndvi !== undefined) indices.ndvi = data.ndvi
-      if (data.evi !== null && data.evi !== undefined) indices.evi = data.evi
-      if (data.gndvi !== null && data.gndvi !== undefined) indices.gndvi = data.gndvi
-      if (data.bsi !== null && data.bsi !== undefined) indices.bsi = data.bsi
-      if (data.msavi2 !== null && data.msavi2 !== undefined) indices.msavi2 = data.msavi2
-      
-      if (Object.keys(indices).length > 0) {
-        return indices
+    if (clearSky && clearSky.validPixelFraction < context.clearSkyThreshold) {
+      const clearPercent = (clearSky.validPixelFraction * 100).toFixed(0)
+      return {
+        indices: null,
+        clearSky,
+        failure: { reason: 'cloudy', message: `Only ${clearPercent}% clear-sky pixels across ${clearSky.observationCount} observations`, attempts }
       }
     }
 
-    return null
+    if (Object.keys(indices).length > 0) {
+      return { indices, clearSky, landCover: landCover || landCoverFromIndices(indices), failure: null }
+    }
+    return { indices: null, clearSky, failure: { reason: 'no-data', message: 'No imagery available for this cell', attempts } }
 
   } catch (error) {
-    console.log(`📊 Sentinel API error: ${error.message}`)
-    return null
-  }
-}
-
-function calculateComprehensiveVegetation(indices) {
-  // Weighted combination of vegetation indices for comprehensive analysis
-  let vegetationScore = 0;
-  let weightSum = 0;
-  let validIndices = 0;
-
-  // NDVI: Primary vegetation indicator (0.4 weight)
-  if (indices.ndvi !== undefined && !isNaN(indices.ndvi)) {
-    const ndviScore = Math.max(0, Math.min(1, (indices.ndvi + 0.1) * 2)); // Normalize NDVI to 0-1
-    vegetationScore += ndviScore * 0.4;
-    weightSum += 0.4;
-    validIndices++;
-  }
-
-  // EVI: Enhanced Vegetation Index (0.3 weight)
-  if (indices.evi !== undefined && !isNaN(indices.evi)) {
-    const eviScore = Math.max(0, Math.min(1, indices.evi * 2)); // EVI typically 0-0.5
-    vegetationScore += eviScore * 0.3;
-    weightSum += 0.3;
-    validIndices++;
-  }
-
-  // GNDVI: Green Normalized Difference Vegetation Index (0.2 weight)
-  if (indices.gndvi !== undefined && !isNaN(indices.gndvi)) {
-    const gndviScore = Math.max(0, Math.min(1, (indices.gndvi + 0.1) * 2)); // Normalize GNDVI
-    vegetationScore += gndviScore * 0.2;
-    weightSum += 0.2;
-    validIndices++;
-  }
-
-  // BSI: Bare Soil Index (0.1 weight) - inverse relationship
-  if (indices.bsi !== undefined && !isNaN(indices.bsi)) {
-    const bsiScore = Math.max(0, Math.min(1, 1 - indices.bsi)); // Invert BSI (lower = more vegetation)
-    vegetationScore += bsiScore * 0.1;
-    weightSum += 0.1;
-    validIndices++;
-  }
-
-  // MSAVI2: Modified Soil Adjusted Vegetation Index (additional validation)
-  if (indices.msavi2 !== undefined && !isNaN(indices.msavi2)) {
-    const msavi2Score = Math.max(0, Math.min(1, (indices.msavi2 + 0.1) * 2));
-    // Use MSAVI2 as a confidence booster if it agrees with other indices
-    if (validIndices > 0) {
-      vegetationScore = (vegetationScore + msavi2Score * 0.1) / (weightSum + 0.1);
-      weightSum += 0.1;
+    if (context.signal?.aborted) throw error
+    console.log(`📊 ${provider.name} error after ${error.attempts || attempts} attempt(s): ${error.message}`)
+    return {
+      indices: null,
+      failure: { reason: error.reason || 'error', message: error.message, attempts: error.attempts || attempts }
     }
   }
+}
 
-  // Calculate final vegetation percentage
-  if (weightSum > 0) {
-    const normalizedScore = vegetationScore / weightSum;
-    return Math.max(0, Math.min(100, normalizedScore * 100));
-  }
-
-  // Fallback if no valid indices
-  return 0;
+function landCoverFromIndices(indices) {
+  // Providers without per-pixel data: classify the cell's mean indices as a whole
+  const landCover = emptyLandCover()
+  landCover[PIXEL_CLASSES[classifyPixel(indices)]] = 1
+  return landCover
 }
 
-function estimateVegetationByLocation(lat, lon) {
+function estimateVegetationByLocation(lat, lon, random) {
   // Improved geographic-based vegetation estimation for city planners
   // This function now uses more sophisticated logic to identify actual green spaces
   
   // Base vegetation percentage
   let baseVegetation = 15 // Conservative base for urban areas
   
-  // Major park and green space detection for known cities
-  const greenSpaces = getKnownGreenSpaces(lat, lon)
-  if (greenSpaces) {
-    return greenSpaces
-  }
-  
-  // Water body detection - should have 0% vegetation
-  if (isWaterBody(lat, lon)) {
-    return 0
-  }
-  
-  // Industrial/commercial area detection - should have low vegetation
-  if (isIndustrialArea(lat, lon)) {
-    return Math.random() * 8 + 2 // 2-10% for industrial areas
-  }
-  
-  // Highway/major road detection - should have low vegetation
-  if (isMajorRoad(lat, lon)) {
-    return Math.random() * 5 + 1 // 1-6% for major roads
+  // Parks, water, industrial zones and roads from the land-cover layers
+  const landCover = matchLandCover(lat, lon)
+  if (landCover) {
+    return sampleLandCoverVegetation(landCover, random)
   }
   
   // Climate zone adjustments
@@ -475,113 +658,15 @@ function estimateVegetationByLocation(lat, lon) {
   }
   
   // Add small variation for realistic results (reduced from 20 to 8)
-  const variation = (Math.random() - 0.5) * 8
+  const variation = (random() - 0.5) * 8
   
   return Math.max(0, Math.min(60, baseVegetation + variation))
 }
 
-function getKnownGreenSpaces(lat, lon) {
-  // Major parks and green spaces with known coordinates
-  const parks = [
-    // Toronto Parks
-    { name: "High Park", lat: 43.6464, lon: -79.4658, radius: 0.02, vegetation: 85 },
-    { name: "Trinity Bellwoods", lat: 43.6474, lon: -79.4208, radius: 0.015, vegetation: 75 },
-    { name: "Queen's Park", lat: 43.6614, lon: -79.3928, radius: 0.01, vegetation: 80 },
-    { name: "Riverdale Park", lat: 43.6614, lon: -79.3528, radius: 0.02, vegetation: 70 },
-    { name: "Christie Pits", lat: 43.6614, lon: -79.4128, radius: 0.01, vegetation: 65 },
-    { name: "Dufferin Grove", lat: 43.6514, lon: -79.4328, radius: 0.01, vegetation: 70 },
-    { name: "Withrow Park", lat: 43.6714, lon: -79.3528, radius: 0.015, vegetation: 75 },
-    { name: "Allen Gardens", lat: 43.6614, lon: -79.3728, radius: 0.01, vegetation: 80 },
-    { name: "Toronto Islands", lat: 43.6214, lon: -79.3728, radius: 0.05, vegetation: 90 },
-    { name: "Don Valley", lat: 43.6814, lon: -79.3528, radius: 0.08, vegetation: 85 },
-    
-    // Vancouver Parks
-    { name: "Stanley Park", lat: 49.3024, lon: -123.1412, radius: 0.03, vegetation: 90 },
-    { name: "Queen Elizabeth Park", lat: 49.2424, lon: -123.1112, radius: 0.02, vegetation: 85 },
-    { name: "VanDusen Botanical Garden", lat: 49.2324, lon: -123.1312, radius: 0.015, vegetation: 90 },
-    { name: "Pacific Spirit Regional Park", lat: 49.2524, lon: -123.2212, radius: 0.04, vegetation: 95 },
-    { name: "Lynn Canyon Park", lat: 49.3424, lon: -123.0212, radius: 0.025, vegetation: 95 },
-    
-    // New York Parks
-    { name: "Central Park", lat: 40.7829, lon: -73.9654, radius: 0.025, vegetation: 85 },
-    { name: "Prospect Park", lat: 40.6629, lon: -73.9654, radius: 0.02, vegetation: 80 },
-    { name: "Battery Park", lat: 40.7029, lon: -74.0154, radius: 0.01, vegetation: 70 },
-    
-    // London Parks
-    { name: "Hyde Park", lat: 51.5074, lon: -0.1678, radius: 0.02, vegetation: 80 },
-    { name: "Regent's Park", lat: 51.5274, lon: -0.1478, radius: 0.02, vegetation: 85 },
-    { name: "Greenwich Park", lat: 51.4774, lon: -0.0078, radius: 0.02, vegetation: 85 }
-  ]
-  
-  for (const park of parks) {
-    const distance = Math.sqrt(Math.pow(lat - park.lat, 2) + Math.pow(lon - park.lon, 2))
-    if (distance < park.radius) {
-      return park.vegetation + (Math.random() - 0.5) * 10 // Add small variation
-    }
-  }
-  
-  return null
-}
-
-function isWaterBody(lat, lon) {
-  // Major water bodies that should have 0% vegetation
-  const waterBodies = [
-    { name: "Lake Ontario", lat: 43.6214, lon: -79.3728, radius: 0.3 },
-    { name: "Lake Michigan", lat: 42.0214, lon: -87.5728, radius: 0.4 },
-    { name: "English Channel", lat: 50.0214, lon: -0.5728, radius: 0.5 },
-    { name: "Thames River", lat: 51.5214, lon: -0.0728, radius: 0.1 },
-    { name: "Hudson River", lat: 40.7214, lon: -74.0728, radius: 0.15 },
-    { name: "Fraser River", lat: 49.2214, lon: -123.0728, radius: 0.1 }
-  ]
-  
-  for (const water of waterBodies) {
-    const distance = Math.sqrt(Math.pow(lat - water.lat, 2) + Math.pow(lon - water.lon, 2))
-    if (distance < water.radius) {
-      return true
-    }
-  }
-  
-  return false
-}
-
-function isIndustrialArea(lat, lon) {
-  // Known industrial areas that should have low vegetation
-  const industrialAreas = [
-    { name: "Toronto Port Lands", lat: 43.6214, lon: -79.3528, radius: 0.05 },
-    { name: "Vancouver Port", lat: 49.2824, lon: -123.0812, radius: 0.03 },
-    { name: "New York Harbor", lat: 40.6829, lon: -74.0354, radius: 0.04 },
-    { name: "London Docklands", lat: 51.5074, lon: -0.0178, radius: 0.03 }
-  ]
-  
-  for (const area of industrialAreas) {
-    const distance = Math.sqrt(Math.pow(lat - area.lat, 2) + Math.pow(lon - area.lon, 2))
-    if (distance < area.radius) {
-      return true
-    }
-  }
-  
-  return false
-}
-
-function isMajorRoad(lat, lon) {
-  // Major highways and roads that should have low vegetation
-  const majorRoads = [
-    { name: "401 Highway", lat: 43.6214, lon: -79.5728, radius: 0.02 },
-    { name: "Gardiner Expressway", lat: 43.6214, lon: -79.3928, radius: 0.015 },
-    { name: "DVP", lat: 43.6814, lon: -79.3528, radius: 0.015 },
-    { name: "Vancouver Highway 1", lat: 49.2824, lon: -123.1212, radius: 0.02 },
-    { name: "I-95", lat: 40.7829, lon: -73.9654, radius: 0.02 },
-    { name: "M25", lat: 51.5074, lon: -0.1278, radius: 0.02 }
-  ]
-  
-  for (const road of majorRoads) {
-    const distance = Math.sqrt(Math.pow(lat - road.lat, 2) + Math.pow(lon - road.lon, 2))
-    if (distance < road.radius) {
-      return true
-    }
-  }
-  
-  return false
+function sampleLandCoverVegetation(landCover, random) {
+  // Layer prior plus seeded variation, e.g. industrial 6% ± 4%
+  const vegetation = landCover.vegetation + (random() - 0.5) * landCover.variation
+  return Math.max(0, Math.min(100, vegetation))
 }
 
 function isUrbanArea(lat, lon) {
@@ -604,19 +689,16 @@ function isUrbanArea(lat, lon) {
   return false
 }
 
-function createSimplifiedGrid(bbox, boundaries) {
+function createRegularGrid(bbox, boundaries, cellSize) {
   const [west, south, east, north] = bbox
   const grid = []
   
-  // Create evenly distributed grid
-  for (let lon = west; lon < east; lon += GRID_SIZE) {
-    for (let lat = south; lat < north; lat += GRID_SIZE) {
-      const cell = [
-        lon,
-        lat,
-        Math.min(lon + GRID_SIZE, east),
-        Math.min(lat + GRID_SIZE, north)
-      ]
+  // Create evenly distributed grid. Cells are not cut at the bbox: clipping
+  // trims them to the city, and refining a cut cell would split it into
+  // slivers narrower than the finest level
+  for (let lon = west; lon < east; lon += cellSize) {
+    for (let lat = south; lat < north; lat += cellSize) {
+      const cell = [lon, lat, lon + cellSize, lat + cellSize]
       
       // Check if cell intersects with city boundaries
       if (cellIntersectsBoundaries(cell, boundaries)) {
@@ -625,21 +707,229 @@ function createSimplifiedGrid(bbox, boundaries) {
     }
   }
   
-  // Limit grid size for performance
-  if (grid.length > MAX_GRID_CELLS) {
-    const step = Math.floor(grid.length / MAX_GRID_CELLS)
-    const sampledGrid = []
-    for (let i = 0; i < MAX_GRID_CELLS && i * step < grid.length; i++) {
-      sampledGrid.push(grid[i * step])
-    }
-    console.log(`🔄 Grid optimized: ${grid.length} → ${sampledGrid.length} cells`)
-    return sampledGrid
+  return grid
+}
+
+async function createAdaptiveGrid(bbox, boundaries, cellBudget, year, context, emitProgress = null) {
+  const [west, south, east, north] = bbox
+
+  // Finest level if it fits the budget; otherwise the finest level that fits a
+  // quarter of it, leaving room to refine. Levels far over budget are skipped
+  // without the (expensive) boundary test.
+  let maxDepth = 0
+  let coarseBounds = []
+  for (let depth = 0; ; depth++) {
+    const cellSize = GRID_SIZE * Math.pow(2, depth)
+    const bboxCells = Math.ceil((east - west) / cellSize) * Math.ceil((north - south) / cellSize)
+    const target = depth === 0 ? cellBudget : cellBudget / 4
+
+    if (bboxCells > 1 && bboxCells > target * 16) continue
+
+    coarseBounds = createRegularGrid(bbox, boundaries, cellSize)
+    if (coarseBounds.length <= Math.max(1, target) || bboxCells <= 1) {
+      maxDepth = depth
+      break
+    }
   }
-  
-  console.log(`🔄 Created analysis grid: ${grid.length} cells`)
+
+  const coarseSize = GRID_SIZE * Math.pow(2, maxDepth)
+  let leaves = clipGridToBoundary(coarseBounds, boundaries)
+    .map(cell => ({ ...cell, depth: 0, size: coarseSize }))
+
+  console.log(`🔄 Adaptive grid: ${leaves.length} coarse cells of ${Math.round(coarseSize * METERS_PER_DEGREE)}m, up to ${maxDepth} refinement levels, budget ${cellBudget}`)
+
+  await previewCells(leaves, year, context, emitProgress)
+
+  // Refine in rounds: split the most heterogeneous cells first until the budget is spent
+  for (let round = 1; round <= maxDepth; round++) {
+    const candidates = leaves
+      .filter(cell => cell.depth < maxDepth)
+      .map(cell => ({ cell, score: refinementScore(cell, leaves) }))
+      .filter(candidate => candidate.score >= REFINE_VARIANCE_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+
+    const splits = new Map()
+    let cellCount = leaves.length
+    for (const { cell } of candidates) {
+      const children = splitCell(cell, boundaries)
+      if (cellCount + children.length - 1 > cellBudget) continue
+      splits.set(cell, children)
+      cellCount += children.length - 1
+    }
+
+    if (splits.size === 0) break
+
+    const newCells = [...splits.values()].flat()
+    await previewCells(newCells, year, context, emitProgress)
+    leaves = leaves.flatMap(cell => splits.get(cell) || [cell])
+
+    if (emitProgress) {
+      emitProgress('log', {
+        message: `Step 1: Refinement round ${round} split ${splits.size} cells → ${leaves.length} cells`,
+        status: 'Refining analysis grid...'
+      })
+    }
+  }
+
+  console.log(`🔄 Created adaptive analysis grid: ${leaves.length} cells`)
+  return leaves
+}
+
+async function previewCells(cells, year, context, emitProgress = null) {
+  // Analyse cells for the refinement year; analyzeVegetationCoverage reuses these
+  let completedCells = 0
+
+  await runWorkerPool(cells, async (cell) => {
+    cell.preview = { year, analysis: await analyzeGridCellSimplified(cell, year, context) }
+    completedCells++
+
+    if (emitProgress && completedCells % 10 === 1) {
+      const percentage = (completedCells / cells.length) * 100
+      emitProgress('grid-progress', {
+        currentCell: completedCells,
+        totalCells: cells.length,
+        percentage: percentage.toFixed(1),
+        year,
+        phase: 'refinement',
+        status: `Refining grid: Cell ${completedCells}/${cells.length}`,
+        message: `${percentage.toFixed(0)}% complete`
+      })
+    }
+  }, context.concurrency)
+}
+
+function refinementScore(cell, leaves) {
+  // Vegetation spread across the cell and its measured touching neighbours, plus a boundary bonus
+  const values = [cell, ...leaves.filter(other => other !== cell && boundsTouch(cell.bounds, other.bounds))]
+    .map(c => c.preview.analysis.vegetationPercentage)
+    .filter(v => v !== null)
+  const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1)
+  const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length || 1))
+  const edgeBonus = cell.clipFraction < 0.999 ? REFINE_EDGE_WEIGHT : 0
+  return stdDev + edgeBonus
+}
+
+function boundsTouch(a, b) {
+  const epsilon = 1e-9
+  return a[0] <= b[2] + epsilon && a[2] >= b[0] - epsilon && a[1] <= b[3] + epsilon && a[3] >= b[1] - epsilon
+}
+
+function splitCell(cell, boundaries) {
+  const [west, south, east, north] = cell.bounds
+  const midLon = (west + east) / 2
+  const midLat = (south + north) / 2
+  const quadrants = [
+    [west, south, midLon, midLat],
+    [midLon, south, east, midLat],
+    [west, midLat, midLon, north],
+    [midLon, midLat, east, north]
+  ]
+
+  return clipGridToBoundary(quadrants, boundaries)
+    .map(child => ({ ...child, depth: cell.depth + 1, size: cell.size / 2 }))
+}
+
+// The request's cell budget, or GRID_CELL_BUDGET
+export function getCellBudget(cellBudget) {
+  return cellBudget || MAX_GRID_CELLS
+}
+
+// Expected H3 cells (plus a boundary ring) over `cityArea` km² at a resolution
+export function estimateHexCellCount(cityArea, resolution) {
+  return Math.ceil((cityArea / h3.getHexagonAreaAvg(resolution, 'km2')) * HEX_BOUNDARY_ALLOWANCE)
+}
+
+function createHexagonalGrid(boundaries, cityArea, cellBudget, hexResolution = null) {
+  // Finest resolution whose expected cell count fits the budget
+  let resolution = hexResolution
+  if (resolution === null || resolution === undefined) {
+    resolution = HEX_MIN_RESOLUTION
+    for (let res = HEX_MAX_RESOLUTION; res >= HEX_MIN_RESOLUTION; res--) {
+      if (estimateHexCellCount(cityArea, res) <= cellBudget) {
+        resolution = res
+        break
+      }
+    }
+  } else if (estimateHexCellCount(cityArea, resolution) > cellBudget) {
+    // A fixed resolution never bypasses the budget: at resolution 15 a city has ~10⁸ cells
+    throw new Error(`H3 resolution ${resolution} needs about ${estimateHexCellCount(cityArea, resolution)} cells, more than the budget of ${cellBudget}`)
+  }
+
+  const edgeMeters = h3.getHexagonEdgeLengthAvg(resolution, 'm')
+  const polygons = boundaries.geometry.type === 'MultiPolygon'
+    ? boundaries.geometry.coordinates
+    : [boundaries.geometry.coordinates]
+
+  // Hexagons whose centres fall inside the city, plus every hexagon the boundary
+  // passes through so edge cells can be clipped rather than dropped
+  const indexes = new Set()
+  for (const polygon of polygons) {
+    h3.polygonToCells(polygon, resolution, true).forEach(index => indexes.add(index))
+
+    for (const ring of polygon) {
+      for (const [lng, lat] of densifyRing(ring, edgeMeters / 2)) {
+        h3.gridDisk(h3.latLngToCell(lat, lng, resolution), 1).forEach(index => indexes.add(index))
+      }
+    }
+  }
+
+  const grid = []
+  for (const h3Index of indexes) {
+    const cellPolygon = turf.polygon([h3.cellToBoundary(h3Index, true)])
+    const cell = clipCellToBoundary(cellPolygon, boundaries)
+    if (cell) {
+      grid.push({ ...cell, depth: 0, size: edgeMeters / METERS_PER_DEGREE, h3Index })
+    }
+  }
+
+  console.log(`🔄 Created hexagonal analysis grid: ${grid.length} H3 cells at resolution ${resolution}`)
   return grid
 }
 
+function densifyRing(ring, spacingMeters) {
+  const points = []
+  for (let i = 0; i < ring.length - 1; i++) {
+    const from = turf.point(ring[i])
+    const to = turf.point(ring[i + 1])
+    const length = turf.distance(from, to, { units: 'meters' })
+    const steps = Math.max(1, Math.ceil(length / spacingMeters))
+    for (let step = 0; step < steps; step++) {
+      const t = step / steps
+      points.push([
+        ring[i][0] + (ring[i + 1][0] - ring[i][0]) * t,
+        ring[i][1] + (ring[i + 1][1] - ring[i][1]) * t
+      ])
+    }
+  }
+  return points
+}
+
+function summarizeGrid(grid, gridType, cellBudget) {
+  const depthCounts = {}
+  for (const cell of grid) {
+    depthCounts[cell.depth] = (depthCounts[cell.depth] || 0) + 1
+  }
+  const sizes = grid.map(cell => cell.size)
+
+  const hexResolution = gridType === 'hexagon' && grid.length > 0
+    ? h3.getResolution(grid[0].h3Index)
+    : null
+
+  return {
+    type: gridType,
+    cellBudget,
+    cellCount: grid.length,
+    maxDepth: Math.max(0, ...grid.map(cell => cell.depth)),
+    depthCounts,
+    minCellSizeMeters: Math.round(Math.min(...sizes) * METERS_PER_DEGREE),
+    maxCellSizeMeters: Math.round(Math.max(...sizes) * METERS_PER_DEGREE),
+    ...(hexResolution !== null && {
+      hexResolution,
+      hexAreaKm2: h3.getHexagonAreaAvg(hexResolution, 'km2')
+    })
+  }
+}
+
 function cellIntersectsBoundaries(cell, boundaries) {
   try {
     const [west, south, east, north] = cell
@@ -662,8 +952,57 @@ function calculateCellArea(cell) {
   return turf.area(cellPolygon) / 1000000 // Convert to km²
 }
 
+function clipGridToBoundary(grid, boundaries) {
+  // Clip each bbox cell to the city polygon so edge cells only count the area inside the city
+  const clippedGrid = []
+
+  for (const [west, south, east, north] of grid) {
+    const cellPolygon = turf.polygon([[
+      [west, south], [east, south], [east, north], [west, north], [west, south]
+    ]])
+    const cell = clipCellToBoundary(cellPolygon, boundaries)
+    if (cell) clippedGrid.push(cell)
+  }
+
+  return clippedGrid
+}
+
+function clipCellToBoundary(cellPolygon, boundaries) {
+  const fullArea = turf.area(cellPolygon) / 1000000
+
+  let geometry = cellPolygon.geometry
+  try {
+    const clipped = turf.intersect(cellPolygon, boundaries)
+    if (!clipped) return null // Touches the boundary without sharing any area
+    geometry = clipped.geometry
+  } catch (error) {
+    // If clipping fails, keep the full cell
+    console.log(`🔄 Cell clipping failed, keeping full cell: ${error.message}`)
+  }
+
+  const area = turf.area(geometry) / 1000000
+  if (area <= 0) return null
+
+  const bounds = turf.bbox(cellPolygon)
+  return {
+    bounds,
+    geometry,
+    center: getSamplePoint(bounds, geometry),
+    area,
+    clipFraction: Math.min(1, area / fullArea)
+  }
+}
+
+// Where a cell is sampled: its centre, unless clipping to an island, a hole or
+// a concave boundary left the centre outside the part of the cell being analysed
+function getSamplePoint([west, south, east, north], geometry) {
+  const center = [(west + east) / 2, (south + north) / 2]
+  if (turf.booleanPointInPolygon(center, geometry)) return center
+  return turf.pointOnFeature(geometry).geometry.coordinates
+}
+
 function calculateGridTotalArea(grid) {
-  return grid.reduce((total, cell) => total + calculateCellArea(cell), 0)
+  return grid.reduce((total, cell) => total + cell.area, 0)
 }
 
 function calculateValidationMetrics(coverage) {
@@ -680,48 +1019,212 @@ function calculateValidationMetrics(coverage) {
   }
 }
 
-async function getSimpleHistoricalComparison(grid, previousYear, emitProgress = null) {
-  try {
-    // Simplified historical analysis - analyze just a few cells for trend
-    const sampleSize = Math.min(20, grid.length)
-    const sampleCells = grid.slice(0, sampleSize)
-    
-    if (emitProgress) {
-      emitProgress('log', {
-        message: `Historical comparison: analyzing ${sampleSize} sample cells`,
-        status: 'Comparing with previous year...'
+// Years compared by change detection: the ends of the range unless the request
+// picks two years inside it. Null when the range is a single year
+function resolveChangeYears(changeDetection, startYear, endYear) {
+  const fromYear = changeDetection?.fromYear ?? startYear
+  const toYear = changeDetection?.toYear ?? endYear
+  const yearsRequested = changeDetection?.fromYear !== undefined || changeDetection?.toYear !== undefined
+
+  if (startYear === endYear && !yearsRequested) return null
+  if (fromYear < startYear || toYear > endYear || fromYear >= toYear) {
+    throw new Error(`Change detection years must satisfy ${startYear} <= fromYear < toYear <= ${endYear}`)
+  }
+  return { fromYear, toYear }
+}
+
+// Defaults to the previous and current year; clamped to the imagery years and
+// the maximum span
+export function normalizeYearRange(yearRange) {
+  const currentYear = new Date().getFullYear()
+  let startYear = parseInt(yearRange?.startYear)
+  let endYear = parseInt(yearRange?.endYear)
+
+  if (isNaN(endYear) || endYear > currentYear) endYear = currentYear
+  if (isNaN(startYear)) startYear = endYear - 1
+  if (startYear > endYear) [startYear, endYear] = [endYear, startYear]
+  endYear = Math.max(endYear, FIRST_IMAGERY_YEAR)
+  startYear = Math.max(startYear, FIRST_IMAGERY_YEAR, endYear - MAX_YEAR_SPAN)
+
+  return { startYear, endYear }
+}
+
+async function analyzeHistoricalSeries(grid, startYear, endYear, currentCoverage, context, emitProgress = null) {
+  // Every year runs over the same grid and is area-weighted like the current year,
+  // so points in the series are directly comparable
+  const series = []
+  const coverageByYear = { [endYear]: currentCoverage }
+  const years = []
+  for (let year = startYear; year < endYear; year++) {
+    years.push(year)
+  }
+
+  if (emitProgress && years.length > 0) {
+    emitProgress('historical-started', {
+      message: `Historical analysis: ${years.length} previous years (${startYear}-${endYear - 1}) over ${grid.length} cells`,
+      status: 'Building historical vegetation series...'
+    })
+  }
+
+  for (const year of years) {
+    try {
+      const coverage = await analyzeVegetationCoverage(grid, year, context, emitProgress, 'historical')
+      series.push(toHistoricalEntry(coverage))
+      coverageByYear[year] = coverage
+
+      if (emitProgress) {
+        emitProgress('log', {
+          message: `Historical ${year}: ${coverage.percentage.toFixed(2)}% vegetation coverage complete`,
+          status: `Analyzed ${year}`
+        })
+      }
+    } catch (error) {
+      if (context.signal?.aborted) throw error
+      console.log(`Historical analysis error for ${year}:`, error.message)
+    }
+  }
+
+  series.push(toHistoricalEntry(currentCoverage))
+  return { series, coverageByYear }
+}
+
+function analyzeHistoricalTrend(series, coverageByYear, gridResults) {
+  // City trend over the coverage series; per-cell trends only use the years in
+  // which the cell was scored from imagery, and are attached to gridResults
+  const cityTrend = calculateTrend(series.map(entry => ({ x: entry.year, y: entry.percentage })))
+  if (!cityTrend) return null
+
+  const years = Object.keys(coverageByYear).map(Number).sort((a, b) => a - b)
+  const cells = { increasing: 0, decreasing: 0, noSignificantTrend: 0, insufficientData: 0 }
+
+  gridResults.forEach((cell, i) => {
+    const points = years
+      .map(year => ({ year, yearCell: coverageByYear[year].gridResults[i] }))
+      .filter(({ yearCell }) => isMeasuredCell(yearCell))
+      .map(({ year, yearCell }) => ({ x: year, y: yearCell.vegetationPercentage }))
+    const trend = calculateTrend(points)
+
+    if (!trend) {
+      cells.insufficientData++
+      return
+    }
+    cell.trend = trend
+    if (trend.direction === 'increasing') cells.increasing++
+    else if (trend.direction === 'decreasing') cells.decreasing++
+    else cells.noSignificantTrend++
+  })
+
+  return { ...cityTrend, unit: 'percentage points per year', cells }
+}
+
+async function analyzePhenology(grid, year, mode, gridResults, context, emitProgress = null) {
+  // Index composites per month or season for every cell, per-cell phenology
+  // metrics (attached to gridResults) and an area-weighted city curve
+  const periods = buildPhenologyPeriods(mode, year)
+
+  if (emitProgress) {
+    emitProgress('log', {
+      message: `Phenology: ${periods.length} ${mode} composites (${periods[0].from} to ${periods[periods.length - 1].to}) over ${grid.length} cells`,
+      status: 'Building seasonal vegetation profile...'
+    })
+  }
+
+  let completedCells = 0
+  const cellSeries = await runWorkerPool(grid, async (cell) => {
+    const values = []
+    for (const period of periods) {
+      const { indices } = await fetchCellIndices(cell, year, context, period)
+      values.push(indices && Number.isFinite(indices.ndvi)
+        ? { ndvi: indices.ndvi, vegetationPercentage: scoreVegetationIndices(indices, context.profile) }
+        : null)
+    }
+    completedCells++
+
+    if (emitProgress && completedCells % 10 === 1) {
+      const percentage = (completedCells / grid.length) * 100
+      emitProgress('grid-progress', {
+        currentCell: completedCells,
+        totalCells: grid.length,
+        percentage: percentage.toFixed(1),
+        year,
+        phase: 'phenology',
+        status: `Seasonal profile: Cell ${completedCells}/${grid.length}`,
+        message: `${percentage.toFixed(0)}% complete`
       })
     }
-    
-    let historicalVegetation = 0
-    
-    for (const cell of sampleCells) {
-      const analysis = await analyzeGridCellSimplified(cell, previousYear)
-      historicalVegetation += analysis.vegetationPercentage
+
+    return values
+  }, context.concurrency)
+
+  // City curve: area-weighted over the cells with imagery in each period
+  const curve = periods.map((period, i) => {
+    let weight = 0
+    let ndviSum = 0
+    let vegetationSum = 0
+    let cellsWithData = 0
+
+    grid.forEach((cell, c) => {
+      const value = cellSeries[c][i]
+      if (!value) return
+      weight += cell.area
+      ndviSum += value.ndvi * cell.area
+      vegetationSum += value.vegetationPercentage * cell.area
+      cellsWithData++
+    })
+
+    return {
+      ...period,
+      ndvi: weight > 0 ? ndviSum / weight : null,
+      vegetationPercentage: weight > 0 ? vegetationSum / weight : null,
+      cellsWithData
+    }
+  })
+
+  let profiledArea = 0
+  let amplitudeSum = 0
+  let seasonLengthSum = 0
+  grid.forEach((cell, c) => {
+    const metrics = calculatePhenologyMetrics(cellSeries[c].map(value => value?.ndvi ?? null), periods)
+    if (!metrics) return
+    gridResults[c].phenology = metrics
+    gridResults[c].landCover = applyCroplandFromPhenology(gridResults[c].landCover, metrics)
+    profiledArea += cell.area
+    amplitudeSum += metrics.amplitude * cell.area
+    seasonLengthSum += metrics.growingSeasonMonths * cell.area
+  })
+
+  const cityMetrics = calculatePhenologyMetrics(curve.map(period => period.ndvi), periods)
+  const profiledCells = gridResults.filter(cell => cell.phenology).length
+
+  console.log(`🌱 PHENOLOGY COMPLETE (${year}, ${mode}): ${profiledCells}/${grid.length} cells profiled`)
+
+  return {
+    mode,
+    year,
+    curve,
+    summary: {
+      profiledCells,
+      peakMonth: cityMetrics?.peakMonth ?? null,
+      amplitude: cityMetrics?.amplitude ?? null,
+      meanCellAmplitude: profiledArea > 0 ? amplitudeSum / profiledArea : null,
+      meanGrowingSeasonMonths: profiledArea > 0 ? seasonLengthSum / profiledArea : null
     }
-    
-    const avgHistoricalVegetation = historicalVegetation / sampleSize
-    
-    return [{
-      year: previousYear,
-      percentage: avgHistoricalVegetation,
-      area: 0, // Simplified - not calculating exact area
-      confidence: 0.7
-    }]
-    
-  } catch (error) {
-    console.log('Historical comparison error:', error.message)
-    return []
   }
 }
 
-function calculatePlanningScore(percentage) {
-  // Scoring system optimized for city planners
-  if (percentage >= 40) return Math.min(100, 85 + (percentage - 40) * 0.75) // Excellent
-  if (percentage >= 25) return 70 + (percentage - 25) * 1.0  // Good
-  if (percentage >= 15) return 50 + (percentage - 15) * 2.0  // Fair
-  if (percentage >= 8) return 25 + (percentage - 8) * 3.5   // Poor
-  return percentage * 3 // Very Poor
+function toHistoricalEntry(coverage) {
+  return {
+    year: coverage.year,
+    percentage: coverage.percentage,
+    area: coverage.area,
+    vegetationCells: coverage.vegetationCells,
+    cellsWithImagery: coverage.cellsWithImagery,
+    failedCells: coverage.failures.total,
+    unmeasuredCells: coverage.unmeasured.cells,
+    window: coverage.window,
+    landCover: Object.fromEntries(Object.entries(coverage.landCover.classes).map(([key, { percentage }]) => [key, percentage])),
+    confidence: calculateValidationMetrics(coverage).confidence
+  }
 }
 
 function calculateArea(boundaries) {
@@ -0,0 +1,549 @@
+import axios from 'axios'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { fromFile } from 'geotiff'
+import * as turf from '@turf/turf'
+import { hashToUnit } from './random.js'
+import { createRateLimiter } from './concurrency.js'
+import { hasSentinelCredentials, withSentinelToken } from './sentinelAuth.js'
+import { PIXEL_CLASSES, classifyPixel, landCoverFromCounts } from './landCoverClasses.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.join(__dirname, '..', '..')
+
+// Imagery providers supply per-cell band statistics as vegetation indices
+// ({ ndvi, evi, gndvi, bsi, msavi2 }) for a year and its compositing window
+// ({ from, to } dates, see compositingWindow.js). Each provider resolves to null
+// when it has no usable imagery for a cell and throws when the request itself
+// fails, so the analyzer can retry and report why a cell fell back to estimation.
+// Providers that mask clouds also attach clearSky: { validPixelFraction,
+// observationCount, clearObservationCount } to the indices they return, and
+// providers with per-pixel data attach landCover class fractions.
+// Besides the bounds, providers get the grid cell: point-sampling providers use
+// its `center`, which stays inside the clipped cell (the bounds centre can fall
+// in a lake or the sea), and area providers (Sentinel Hub, GeoTIFF) only read
+// pixels inside its clipped `geometry`.
+// The optional AbortSignal cancels in-flight requests when an analysis is cancelled.
+const DEFAULT_PROVIDER = 'sentinel'
+const DEFAULT_SENTINEL_STATISTICS_URL = 'https://services.sentinel-hub.com/api/v1/statistics'
+
+// Scene classification (SCL) classes masked out of the statistics: no data,
+// saturated/defective, cloud shadow, cloud medium/high probability, thin cirrus
+const SCL_MASKED_CLASSES = [0, 1, 3, 8, 9, 10]
+
+// Statistics are computed at Sentinel-2's native 10 m over the whole cell; the
+// API accepts at most 2500 pixels per side
+const SENTINEL_PIXEL_METERS = 10
+const SENTINEL_MAX_PIXELS = 2500
+
+// Sentinel-2 band formulas shared by every provider so results stay comparable;
+// the Sentinel evalscript embeds the same compute functions
+const INDEX_FORMULAS = {
+  ndvi: {
+    compute: (b) => (b.B08 - b.B04) / (b.B08 + b.B04)
+  },
+  evi: {
+    compute: (b) => 2.5 * (b.B08 - b.B04) / (b.B08 + 6 * b.B04 - 7.5 * b.B02 + 1)
+  },
+  gndvi: {
+    compute: (b) => (b.B08 - b.B03 + b.B04) / (b.B08 + b.B03 + b.B04)
+  },
+  bsi: {
+    compute: (b) => (b.B02 + b.B04 - b.B03) / (b.B02 + b.B04 + b.B03)
+  },
+  msavi2: {
+    compute: (b) => (2 * b.B08 + 1 - Math.sqrt(Math.pow(2 * b.B08 + 1, 2) - 8 * Math.pow(b.B08 - b.B04, 2))) / 2
+  },
+  // Water (McFeeters NDWI) and built-up (NDBI, needs the B11 SWIR band) indices
+  ndwi: {
+    compute: (b) => (b.B03 - b.B08) / (b.B03 + b.B08)
+  },
+  ndbi: {
+    compute: (b) => (b.B11 - b.B08) / (b.B11 + b.B08)
+  }
+}
+
+function computeIndices(bands) {
+  const indices = {}
+  for (const [index, { compute }] of Object.entries(INDEX_FORMULAS)) {
+    indices[index] = compute(bands)
+  }
+  return indices
+}
+
+const sentinelProvider = {
+  name: 'sentinel',
+  label: 'Sentinel-2 L2A (Sentinel Hub Statistics API)',
+
+  isAvailable() {
+    return hasSentinelCredentials()
+  },
+
+  requestsPerSecond() {
+    return parseFloat(process.env.SENTINEL_REQUESTS_PER_SECOND) || 10
+  },
+
+  async getCellIndices(cellBounds, year, window, cell, signal) {
+    // The clipped cell, so clear-sky and land-cover fractions describe the whole cell
+    const geometry = cell?.geometry || turf.bboxPolygon(cellBounds).geometry
+    const { width, height } = getSentinelOutputSize(turf.bbox(geometry))
+
+    // Use Sentinel Hub API for comprehensive vegetation index calculation
+    const sentinelEndpoint = process.env.SENTINEL_STATISTICS_URL || DEFAULT_SENTINEL_STATISTICS_URL
+
+    // Peak-growing-season window for the city (defaults to June-August)
+    const startDate = window?.from || `${year}-06-01`
+    const endDate = window?.to || `${year}-08-31`
+
+    const requestBody = {
+      input: {
+        bounds: {
+          geometry,
+          properties: {
+            crs: "http://www.opengis.net/def/crs/OGC/1.3/CRS84"
+          }
+        },
+        data: [
+          {
+            type: "sentinel-2-l2a"
+          }
+        ]
+      },
+      aggregation: {
+        timeRange: {
+          from: `${startDate}T00:00:00Z`,
+          to: `${endDate}T23:59:59Z`
+        },
+        // One interval per acquisition day so clear observations can be counted
+        aggregationInterval: {
+          of: "P1D"
+        },
+        evalscript: buildSentinelEvalscript(),
+        width,
+        height
+      }
+    }
+
+    const response = await withSentinelToken(accessToken => axios.post(sentinelEndpoint, requestBody, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000,
+      signal
+    }))
+
+    return combineSentinelIntervals(response.data?.data || [])
+  }
+}
+
+// Pixels across the cell's bounding box at 10 m, at least one per side
+function getSentinelOutputSize([west, south, east, north]) {
+  const midLat = (south + north) / 2
+  const widthMeters = turf.distance([west, midLat], [east, midLat], { units: 'meters' })
+  const heightMeters = turf.distance([west, south], [west, north], { units: 'meters' })
+  const toPixels = (meters) => Math.min(SENTINEL_MAX_PIXELS, Math.max(1, Math.round(meters / SENTINEL_PIXEL_METERS)))
+  return { width: toPixels(widthMeters), height: toPixels(heightMeters) }
+}
+
+function buildSentinelEvalscript() {
+  // Cloudy, shadowed and missing pixels get dataMask 0, so the Statistics API
+  // leaves them out of the means and counts them in noDataCount. The landcover
+  // output is one-hot per pixel class, so its band means are class fractions.
+  const indexOutputs = Object.keys(INDEX_FORMULAS)
+    .map(index => `{ id: "${index}", bands: 1, sampleType: "FLOAT32" }`)
+    .join(',\n      ')
+  const indexFunctions = Object.entries(INDEX_FORMULAS)
+    .map(([index, { compute }]) => `${index}: ${compute.toString()}`)
+    .join(',\n  ')
+  const indexValues = Object.keys(INDEX_FORMULAS)
+    .map(index => `${index}: [values.${index}]`)
+    .join(',\n    ')
+
+  return `//VERSION=3
+function setup() {
+  return {
+    input: [{ bands: ["B02", "B03", "B04", "B08", "B11", "SCL", "dataMask"] }],
+    output: [
+      ${indexOutputs},
+      { id: "landcover", bands: ${PIXEL_CLASSES.length}, sampleType: "FLOAT32" },
+      { id: "dataMask", bands: 1 }
+    ]
+  }
+}
+
+const MASKED_SCL = ${JSON.stringify(SCL_MASKED_CLASSES)}
+const INDICES = {
+  ${indexFunctions}
+}
+
+${classifyPixel.toString()}
+
+function evaluatePixel(sample) {
+  const clear = sample.dataMask === 1 && MASKED_SCL.indexOf(sample.SCL) === -1
+  const values = {}
+  for (const index in INDICES) values[index] = INDICES[index](sample)
+  const landcover = new Array(${PIXEL_CLASSES.length}).fill(0)
+  landcover[classifyPixel(values)] = 1
+  return {
+    ${indexValues},
+    landcover: landcover,
+    dataMask: [clear ? 1 : 0]
+  }
+}`
+}
+
+function combineSentinelIntervals(intervals) {
+  // Clear-pixel weighted mean of each index across the acquisitions in the window
+  const sums = {}
+  const weights = {}
+  const classSums = new Array(PIXEL_CLASSES.length).fill(0)
+  let totalPixels = 0
+  let clearPixels = 0
+  let clearObservationCount = 0
+
+  for (const interval of intervals) {
+    const outputs = interval.outputs || {}
+    const ndviStats = outputs.ndvi?.bands?.B0?.stats
+    if (!ndviStats) continue
+
+    const sampleCount = ndviStats.sampleCount || 0
+    const clearCount = sampleCount - (ndviStats.noDataCount || 0)
+    totalPixels += sampleCount
+    clearPixels += clearCount
+    if (clearCount <= 0) continue
+    clearObservationCount++
+
+    for (const index of Object.keys(INDEX_FORMULAS)) {
+      const mean = Number(outputs[index]?.bands?.B0?.stats?.mean)
+      if (!Number.isFinite(mean)) continue
+      sums[index] = (sums[index] || 0) + mean * clearCount
+      weights[index] = (weights[index] || 0) + clearCount
+    }
+
+    PIXEL_CLASSES.forEach((_, i) => {
+      const fraction = Number(outputs.landcover?.bands?.[`B${i}`]?.stats?.mean)
+      if (Number.isFinite(fraction)) classSums[i] += fraction * clearCount
+    })
+  }
+
+  if (totalPixels === 0) {
+    return null
+  }
+
+  const indices = {}
+  for (const index of Object.keys(sums)) {
+    indices[index] = sums[index] / weights[index]
+  }
+
+  indices.clearSky = {
+    validPixelFraction: clearPixels / totalPixels,
+    observationCount: intervals.length,
+    clearObservationCount
+  }
+
+  const landCover = landCoverFromCounts(classSums)
+  if (landCover) indices.landCover = landCover
+  return indices
+}
+
+// Local multi-band GeoTIFFs for offline work. Files must be in WGS84 (EPSG:4326)
+// and carry the year in their file or folder name (e.g. toronto_2023.tif);
+// files without a year are used for any year.
+const REQUIRED_BANDS = ['B02', 'B03', 'B04', 'B08']
+const OPTIONAL_BANDS = ['B11'] // SWIR, enables the built-up index
+
+let geotiffCatalogPromise = null
+
+// Read lazily: the root .env is loaded after this module is imported
+function getGeotiffConfig() {
+  return {
+    dir: path.resolve(ROOT_DIR, process.env.GEOTIFF_DIR || 'data/imagery'),
+    bands: (process.env.GEOTIFF_BANDS || 'B02,B03,B04,B08').split(',').map(band => band.trim()),
+    reflectanceScale: parseFloat(process.env.GEOTIFF_REFLECTANCE_SCALE) || 10000
+  }
+}
+
+async function loadGeotiffCatalog() {
+  const { dir, bands, reflectanceScale } = getGeotiffConfig()
+  const catalog = []
+
+  if (!fs.existsSync(dir)) {
+    console.log(`🗂️ GeoTIFF directory not found: ${dir}`)
+    return catalog
+  }
+
+  const missingBands = REQUIRED_BANDS.filter(band => !bands.includes(band))
+  if (missingBands.length > 0) {
+    console.error(`🗂️ GEOTIFF_BANDS is missing required bands: ${missingBands.join(', ')}`)
+    return catalog
+  }
+
+  for (const filePath of listGeotiffFiles(dir)) {
+    try {
+      const tiff = await fromFile(filePath)
+      const image = await tiff.getImage()
+      const geoKeys = image.getGeoKeys() || {}
+
+      if (geoKeys.ProjectedCSTypeGeoKey || (geoKeys.GeographicTypeGeoKey && geoKeys.GeographicTypeGeoKey !== 4326)) {
+        console.log(`🗂️ Skipping ${path.basename(filePath)}: not in EPSG:4326`)
+        continue
+      }
+
+      if (image.getSamplesPerPixel() < bands.length) {
+        console.log(`🗂️ Skipping ${path.basename(filePath)}: expected ${bands.length} bands`)
+        continue
+      }
+
+      const noData = image.getGDALNoData()
+      const bandNames = [...REQUIRED_BANDS, ...OPTIONAL_BANDS.filter(band => bands.includes(band))]
+      catalog.push({
+        filePath,
+        image,
+        bandNames,
+        samples: bandNames.map(band => bands.indexOf(band)),
+        reflectanceScale,
+        bbox: image.getBoundingBox(),
+        year: extractYear(path.relative(dir, filePath)),
+        noData: noData === null ? null : Number(noData)
+      })
+    } catch (error) {
+      console.error(`🗂️ Failed to read GeoTIFF ${filePath}: ${error.message}`)
+    }
+  }
+
+  console.log(`🗂️ GeoTIFF catalog: ${catalog.length} files from ${dir}`)
+  return catalog
+}
+
+function listGeotiffFiles(dir) {
+  const files = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...listGeotiffFiles(entryPath))
+    } else if (/\.tiff?$/i.test(entry.name)) {
+      files.push(entryPath)
+    }
+  }
+  return files.sort()
+}
+
+function extractYear(relativePath) {
+  const match = relativePath.match(/(?:^|[^\d])((?:19|20)\d{2})(?:[^\d]|$)/)
+  return match ? parseInt(match[1]) : null
+}
+
+function getGeotiffCatalog() {
+  if (!geotiffCatalogPromise) {
+    geotiffCatalogPromise = loadGeotiffCatalog()
+  }
+  return geotiffCatalogPromise
+}
+
+function bboxesIntersect(a, b) {
+  return a[0] < b[2] && a[2] > b[0] && a[1] < b[3] && a[3] > b[1]
+}
+
+async function readGeotiffIndices(entry, cellBounds, cell, signal) {
+  const { image } = entry
+  const [west, south, east, north] = cellBounds
+  const [originX, originY] = image.getOrigin()
+  const [resX, resY] = image.getResolution()
+  const width = image.getWidth()
+  const height = image.getHeight()
+
+  // Pixel window covering the cell; at least one pixel so small cells still sample
+  const left = Math.max(0, Math.floor((west - originX) / resX))
+  const right = Math.min(width, Math.max(left + 1, Math.ceil((east - originX) / resX)))
+  const top = Math.max(0, Math.floor((north - originY) / resY))
+  const bottom = Math.min(height, Math.max(top + 1, Math.ceil((south - originY) / resY)))
+
+  if (left >= right || top >= bottom) {
+    return null
+  }
+
+  const rasters = await image.readRasters({ window: [left, top, right, bottom], samples: entry.samples, signal })
+  // Clipped cells only count pixels whose centre is inside the clipped geometry
+  const clipGeometry = cell?.clipFraction < 1 ? cell.geometry : null
+  const windowWidth = right - left
+
+  const sums = {}
+  const counts = {}
+  for (const index of Object.keys(INDEX_FORMULAS)) {
+    sums[index] = 0
+    counts[index] = 0
+  }
+  const classCounts = new Array(PIXEL_CLASSES.length).fill(0)
+
+  for (let i = 0; i < rasters[0].length; i++) {
+    const raw = rasters.map(band => band[i])
+    if (entry.noData !== null && raw.some(value => value === entry.noData)) continue
+    if (raw.every(value => value === 0)) continue
+    if (clipGeometry) {
+      const pixelLon = originX + (left + (i % windowWidth) + 0.5) * resX
+      const pixelLat = originY + (top + Math.floor(i / windowWidth) + 0.5) * resY
+      if (!turf.booleanPointInPolygon([pixelLon, pixelLat], clipGeometry)) continue
+    }
+
+    const bands = {}
+    entry.bandNames.forEach((band, b) => {
+      bands[band] = raw[b] / entry.reflectanceScale
+    })
+
+    const pixelIndices = computeIndices(bands)
+    for (const [index, value] of Object.entries(pixelIndices)) {
+      if (Number.isFinite(value)) {
+        sums[index] += value
+        counts[index]++
+      }
+    }
+    classCounts[classifyPixel(pixelIndices)]++
+  }
+
+  const indices = {}
+  for (const index of Object.keys(INDEX_FORMULAS)) {
+    if (counts[index] > 0) indices[index] = sums[index] / counts[index]
+  }
+
+  if (Object.keys(indices).length === 0) {
+    return null
+  }
+  indices.landCover = landCoverFromCounts(classCounts)
+  return indices
+}
+
+const geotiffProvider = {
+  name: 'geotiff',
+  label: 'Local multi-band GeoTIFF imagery',
+
+  isAvailable() {
+    return fs.existsSync(getGeotiffConfig().dir)
+  },
+
+  requestsPerSecond() {
+    return Infinity
+  },
+
+  async getCellIndices(cellBounds, year, window, cell, signal) {
+    const catalog = await getGeotiffCatalog()
+    const candidates = catalog.filter(entry => bboxesIntersect(entry.bbox, cellBounds))
+
+    // Prefer imagery from the requested year, then undated files
+    const ordered = [
+      ...candidates.filter(entry => entry.year === year),
+      ...candidates.filter(entry => entry.year === null)
+    ]
+
+    for (const entry of ordered) {
+      const indices = await readGeotiffIndices(entry, cellBounds, cell, signal)
+      if (indices) {
+        return indices
+      }
+    }
+
+    return null
+  }
+}
+
+// Deterministic synthetic indices for demos and tests: the same cell and year
+// always yields the same values, without any network or disk access
+const mockProvider = {
+  name: 'mock',
+  label: 'Deterministic mock imagery',
+
+  isAvailable() {
+    return true
+  },
+
+  requestsPerSecond() {
+    return Infinity
+  },
+
+  async getCellIndices(cellBounds, year, window, cell) {
+    const [lon, lat] = cell.center
+
+    const peakNdvi = -0.05 + hashToUnit(lat, lon, year) * 0.8
+    const ndvi = peakNdvi - mockSeasonalDrop(peakNdvi, lat, lon, window)
+    const indices = computeIndices(mockBands(ndvi))
+
+    // Land cover from synthetic sub-pixels scattered around the cell's NDVI
+    const classCounts = new Array(PIXEL_CLASSES.length).fill(0)
+    for (let i = 0; i < MOCK_SUBPIXELS; i++) {
+      const pixelNdvi = Math.max(-0.3, Math.min(0.9, ndvi + (hashToUnit(lat, lon, year, i) - 0.5) * 0.5))
+      classCounts[classifyPixel(computeIndices(mockBands(pixelNdvi)))]++
+    }
+    indices.landCover = landCoverFromCounts(classCounts)
+    return indices
+  }
+}
+
+const MOCK_SUBPIXELS = 16
+
+function mockBands(ndvi) {
+  // Reflectances with the given NDVI; SWIR brightens as vegetation thins
+  const red = 0.12 - ndvi * 0.08
+  const nir = red * (1 + ndvi) / (1 - ndvi)
+  return {
+    B02: red * 0.7,
+    B03: red * 0.8,
+    B04: red,
+    B08: nir,
+    B11: 0.28 - ndvi * 0.2
+  }
+}
+
+function mockSeasonalDrop(peakNdvi, lat, lon, window) {
+  // Short windows away from midsummer lose greenness, except for the evergreen
+  // share of the cell; annual composites keep the peak value
+  if (!window) return 0
+  const from = Date.parse(window.from)
+  const to = Date.parse(window.to)
+  const days = (to - from) / 86400000
+  if (!(days < 330)) return 0
+
+  const middle = new Date((from + to) / 2)
+  const monthOfYear = middle.getUTCMonth() + middle.getUTCDate() / 31
+  const peakMonth = lat < 0 ? 0.5 : 6.5 // mid-January / mid-July
+  const offSeason = (1 - Math.cos(2 * Math.PI * (monthOfYear - peakMonth) / 12)) / 2
+  const evergreenShare = hashToUnit(lat, lon, 'evergreen')
+
+  return Math.max(0, peakNdvi - 0.05) * (1 - evergreenShare) * offSeason
+}
+
+const providers = {
+  [sentinelProvider.name]: sentinelProvider,
+  [geotiffProvider.name]: geotiffProvider,
+  [mockProvider.name]: mockProvider
+}
+
+export function getImageryProvider(name = null) {
+  const providerName = (name || process.env.IMAGERY_PROVIDER || DEFAULT_PROVIDER).toLowerCase()
+  const provider = providers[providerName]
+
+  if (!provider) {
+    throw new Error(`Unknown imagery provider "${providerName}". Available: ${Object.keys(providers).join(', ')}`)
+  }
+
+  return provider
+}
+
+// One limiter per provider for the whole process, so concurrent analyses share the quota
+const rateLimiters = new Map()
+
+export function getProviderRateLimiter(provider) {
+  if (!rateLimiters.has(provider.name)) {
+    rateLimiters.set(provider.name, createRateLimiter(provider.requestsPerSecond()))
+  }
+  return rateLimiters.get(provider.name)
+}
+
+export function listImageryProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    available: provider.isAvailable()
+  }))
+}
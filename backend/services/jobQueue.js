@@ -0,0 +1,67 @@
+// Analysis job queue: at most `concurrency` jobs run at once, waiting jobs start
+// by priority and then in arrival order. Every job gets an AbortSignal that is
+// aborted when the job is cancelled while running.
+export const JOB_PRIORITIES = { high: 2, normal: 1, low: 0 }
+
+export function createJobQueue({ concurrency }) {
+  const waiting = []
+  const running = new Map() // id -> AbortController
+
+  const startNext = () => {
+    while (running.size < concurrency && waiting.length > 0) {
+      const job = waiting.shift()
+      const controller = new AbortController()
+      running.set(job.id, controller)
+
+      Promise.resolve()
+        .then(() => job.run(controller.signal))
+        .catch(error => console.error(`📋 Job ${job.id} failed outside its handler:`, error))
+        .finally(() => {
+          running.delete(job.id)
+          startNext()
+        })
+    }
+  }
+
+  return {
+    // run(signal) must handle its own errors; returns the job's queue position
+    // (0 when it starts straight away)
+    enqueue({ id, priority = 'normal', run }) {
+      // Behind every job of the same or higher priority
+      const job = { id, rank: JOB_PRIORITIES[priority], run }
+      const index = waiting.findIndex(other => other.rank < job.rank)
+      waiting.splice(index === -1 ? waiting.length : index, 0, job)
+
+      const position = waiting.indexOf(job) + 1
+      startNext()
+      return running.has(id) ? 0 : position
+    },
+
+    // 'queued' when a waiting job was removed, 'running' when a running job was
+    // aborted (its run() sees the signal), 'cancelling' when it was already
+    // aborted and has not stopped yet, null for unknown or finished jobs
+    cancel(id) {
+      const index = waiting.findIndex(job => job.id === id)
+      if (index !== -1) {
+        waiting.splice(index, 1)
+        return 'queued'
+      }
+      const controller = running.get(id)
+      if (!controller) return null
+      if (controller.signal.aborted) return 'cancelling'
+      controller.abort()
+      return 'running'
+    },
+
+    // 1-based place among waiting jobs; null when the job is not waiting
+    position(id) {
+      const index = waiting.findIndex(job => job.id === id)
+      return index === -1 ? null : index + 1
+    },
+
+    stats() {
+      const cancelling = [...running.values()].filter(controller => controller.signal.aborted).length
+      return { concurrency, running: running.size, queued: waiting.length, cancelling }
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// Land-cover classes derived from the vegetation, water and built-up indices.
+// Providers classify every pixel with classifyPixel and report per-cell class
+// fractions; the Sentinel evalscript embeds the same function. Cropland cannot
+// be told apart from grass in a single composite, so it is assigned from the
+// phenology profile (short, high-amplitude growing season) when one is run.
+export const LAND_COVER_CLASSES = {
+  treeCanopy: { label: 'Tree canopy', vegetated: true },
+  grassShrub: { label: 'Grass / shrub', vegetated: true },
+  cropland: { label: 'Cropland', vegetated: true },
+  bareSoil: { label: 'Bare soil', vegetated: false },
+  water: { label: 'Water', vegetated: false },
+  builtUp: { label: 'Built-up', vegetated: false }
+}
+
+// Classes returned by classifyPixel, in index order
+export const PIXEL_CLASSES = ['water', 'treeCanopy', 'grassShrub', 'bareSoil', 'builtUp']
+
+const CROPLAND_MIN_AMPLITUDE = 0.3
+const CROPLAND_MAX_SEASON_MONTHS = 5
+
+// Index into PIXEL_CLASSES for one pixel's indices. Self-contained so it can be
+// serialised into the Sentinel evalscript; ndbi is NaN without a SWIR band.
+export function classifyPixel(i) {
+  if (i.ndwi > 0.1) return 0 // water: green brighter than near-infrared
+  if (i.ndvi >= 0.6) return 1 // tree canopy: dense, closed vegetation
+  if (i.ndvi >= 0.2) return 2 // grass / shrub: open vegetation
+  if (i.bsi > 0.36) return 3 // bare soil: red-brown, little vegetation
+  if (i.ndbi < -0.1) return 3 // no vegetation and no built-up signal
+  return 4 // built-up: grey, unvegetated surfaces
+}
+
+export function emptyLandCover() {
+  return Object.fromEntries(Object.keys(LAND_COVER_CLASSES).map(key => [key, 0]))
+}
+
+// Fractions from per-class pixel counts (indexed like PIXEL_CLASSES)
+export function landCoverFromCounts(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0)
+  if (total === 0) return null
+
+  const landCover = emptyLandCover()
+  PIXEL_CLASSES.forEach((key, i) => {
+    landCover[key] = counts[i] / total
+  })
+  return landCover
+}
+
+// Fallback for cells without per-pixel imagery: split the vegetated share
+// between canopy and grass and treat the rest as built-up
+export function landCoverFromVegetation(vegetationPercentage, type = null) {
+  const landCover = emptyLandCover()
+  if (type === 'water') {
+    landCover.water = 1
+    return landCover
+  }
+
+  const vegetated = Math.max(0, Math.min(1, vegetationPercentage / 100))
+  const canopyShare = type === 'park' ? 0.5 : 0.35
+  landCover.treeCanopy = vegetated * canopyShare
+  landCover.grassShrub = vegetated * (1 - canopyShare)
+  landCover.builtUp = 1 - vegetated
+  return landCover
+}
+
+// Grass in cells with a short, strongly seasonal profile is reassigned to cropland
+export function applyCroplandFromPhenology(landCover, metrics) {
+  if (!landCover || !metrics) return landCover
+  if (metrics.amplitude < CROPLAND_MIN_AMPLITUDE || metrics.growingSeasonMonths > CROPLAND_MAX_SEASON_MONTHS) {
+    return landCover
+  }
+  return {
+    ...landCover,
+    cropland: landCover.cropland + landCover.grassShrub,
+    grassShrub: 0
+  }
+}
+
+// Area-weighted class totals for a set of cells with `area` and `landCover`
+export function summarizeLandCover(cells) {
+  const areas = emptyLandCover()
+  let classifiedArea = 0
+
+  for (const cell of cells) {
+    if (!cell.landCover) continue
+    classifiedArea += cell.area
+    for (const key of Object.keys(areas)) {
+      areas[key] += (cell.landCover[key] || 0) * cell.area
+    }
+  }
+
+  const classes = {}
+  for (const [key, { label, vegetated }] of Object.entries(LAND_COVER_CLASSES)) {
+    classes[key] = {
+      label,
+      vegetated,
+      area: areas[key],
+      percentage: classifiedArea > 0 ? (areas[key] / classifiedArea) * 100 : 0
+    }
+  }
+  return { classifiedArea, classes }
+}
@@ -0,0 +1,177 @@
+import * as turf from '@turf/turf'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.join(__dirname, '..', '..')
+
+// Land-cover reference layers (parks, water, industrial zones, roads) loaded from
+// GeoJSON on disk. Layout: <LANDCOVER_DIR>/layers.json holds the per-type priors and
+// <LANDCOVER_DIR>/<any-folder>/<type>*.geojson holds the features, e.g.
+// data/landcover/toronto/parks.geojson. New cities only need new files.
+const INDEX_BUCKET_SIZE = 0.05 // degrees per spatial index bucket
+
+let landCoverIndex = null
+
+function getLandCoverDir() {
+  return path.resolve(ROOT_DIR, process.env.LANDCOVER_DIR || 'data/landcover')
+}
+
+function loadLayerConfig(dir) {
+  const configPath = path.join(dir, 'layers.json')
+  if (!fs.existsSync(configPath)) {
+    console.error(`🗺️ Land-cover config not found: ${configPath}`)
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'))
+}
+
+function listGeojsonFiles(dir) {
+  const files = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...listGeojsonFiles(entryPath))
+    } else if (/\.(geo)?json$/i.test(entry.name) && entry.name !== 'layers.json') {
+      files.push(entryPath)
+    }
+  }
+  return files.sort()
+}
+
+function loadLandCoverIndex() {
+  const dir = getLandCoverDir()
+  const index = { buckets: new Map(), layers: {}, featureCount: 0 }
+
+  if (!fs.existsSync(dir)) {
+    console.log(`🗺️ Land-cover directory not found: ${dir}`)
+    return index
+  }
+
+  const config = loadLayerConfig(dir)
+  // Longest type names first so "parkway" files are not claimed by "park"
+  const types = Object.keys(config).sort((a, b) => b.length - a.length)
+
+  for (const filePath of listGeojsonFiles(dir)) {
+    const baseName = path.basename(filePath).toLowerCase()
+    const type = types.find(t => baseName.startsWith(t))
+    if (!type) {
+      console.log(`🗺️ Skipping ${path.relative(dir, filePath)}: no layer type in layers.json matches its name`)
+      continue
+    }
+
+    try {
+      const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson]
+
+      for (const feature of features) {
+        if (!feature?.geometry) continue
+        addFeature(index, type, config[type], feature)
+      }
+
+      index.layers[type] = (index.layers[type] || 0) + features.length
+    } catch (error) {
+      console.error(`🗺️ Failed to load ${filePath}: ${error.message}`)
+    }
+  }
+
+  console.log(`🗺️ Land-cover layers: ${index.featureCount} features (${Object.entries(index.layers).map(([t, n]) => `${t}: ${n}`).join(', ') || 'none'})`)
+  return index
+}
+
+function addFeature(index, type, layerConfig, feature) {
+  const properties = feature.properties || {}
+  const bufferMeters = properties.bufferMeters ?? layerConfig.bufferMeters ?? 0
+  const geometryType = feature.geometry.type
+  const isArea = geometryType === 'Polygon' || geometryType === 'MultiPolygon'
+
+  // Expand the bbox by the buffer so buffered lines and points land in every bucket they reach
+  const bufferDegrees = isArea ? 0 : metersToDegrees(bufferMeters)
+  const [west, south, east, north] = turf.bbox(feature)
+  const bbox = [west - bufferDegrees, south - bufferDegrees, east + bufferDegrees, north + bufferDegrees]
+
+  const entry = {
+    type,
+    name: properties.name || type,
+    priority: layerConfig.priority ?? Infinity,
+    vegetation: properties.vegetation ?? layerConfig.vegetation ?? 0,
+    variation: properties.variation ?? layerConfig.variation ?? 0,
+    bufferMeters,
+    isArea,
+    bbox,
+    feature
+  }
+
+  for (let x = Math.floor(bbox[0] / INDEX_BUCKET_SIZE); x <= Math.floor(bbox[2] / INDEX_BUCKET_SIZE); x++) {
+    for (let y = Math.floor(bbox[1] / INDEX_BUCKET_SIZE); y <= Math.floor(bbox[3] / INDEX_BUCKET_SIZE); y++) {
+      const key = `${x}:${y}`
+      if (!index.buckets.has(key)) index.buckets.set(key, [])
+      index.buckets.get(key).push(entry)
+    }
+  }
+
+  index.featureCount++
+}
+
+function metersToDegrees(meters) {
+  // Conservative (equatorial) conversion, only used to size index buckets
+  return meters / 111320
+}
+
+function getLandCoverIndex() {
+  if (!landCoverIndex) {
+    landCoverIndex = loadLandCoverIndex()
+  }
+  return landCoverIndex
+}
+
+function entryContainsPoint(entry, point) {
+  if (entry.isArea) {
+    return turf.booleanPointInPolygon(point, entry.feature)
+  }
+
+  const geometryType = entry.feature.geometry.type
+  if (geometryType === 'Point' || geometryType === 'MultiPoint') {
+    return turf.coordAll(entry.feature).some(coord =>
+      turf.distance(point, turf.point(coord), { units: 'meters' }) <= entry.bufferMeters
+    )
+  }
+
+  // LineString / MultiLineString: inside the buffered corridor
+  const lines = geometryType === 'MultiLineString'
+    ? entry.feature.geometry.coordinates.map(coords => turf.lineString(coords))
+    : [entry.feature]
+  return lines.some(line => turf.pointToLineDistance(point, line, { units: 'meters' }) <= entry.bufferMeters)
+}
+
+// Highest-priority land-cover feature containing the point, or null
+export function matchLandCover(lat, lon) {
+  const index = getLandCoverIndex()
+  const key = `${Math.floor(lon / INDEX_BUCKET_SIZE)}:${Math.floor(lat / INDEX_BUCKET_SIZE)}`
+  const candidates = index.buckets.get(key)
+  if (!candidates) return null
+
+  const point = turf.point([lon, lat])
+  let match = null
+
+  for (const entry of candidates) {
+    if (match && entry.priority >= match.priority) continue
+    if (lon < entry.bbox[0] || lon > entry.bbox[2] || lat < entry.bbox[1] || lat > entry.bbox[3]) continue
+    if (entryContainsPoint(entry, point)) {
+      match = entry
+    }
+  }
+
+  return match && {
+    type: match.type,
+    name: match.name,
+    vegetation: match.vegetation,
+    variation: match.variation
+  }
+}
+
+export function listLandCoverLayers() {
+  return { ...getLandCoverIndex().layers }
+}
@@ -0,0 +1,139 @@
+import * as turf from '@turf/turf'
+import * as h3 from 'h3-js'
+
+// Landscape fragmentation metrics over the analysis grid, after FRAGSTATS.
+// Green cells (at or above the green threshold) that share an edge form a
+// patch; corner contact does not join patches. Patch IDs are assigned by
+// descending area, so patch 1 is always the largest.
+const CONNECTIVITY_DISTANCE_METERS = 500 // patches closer than this count as connected
+const METERS_PER_DEGREE = 111320
+const EPSILON = 1e-9
+
+// Attaches `patchId` to green cells and returns the landscape metrics
+export function analyzeFragmentation(gridResults, greenThreshold) {
+  const greenCells = gridResults.filter(cell => cell.vegetationPercentage >= greenThreshold)
+  const landscapeArea = gridResults.reduce((sum, cell) => sum + cell.area, 0)
+
+  // Union-find over shared edges, summing the shared edge length for the perimeter
+  const parent = greenCells.map((_, i) => i)
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+  const sharedEdges = new Array(greenCells.length).fill(0)
+
+  for (let i = 0; i < greenCells.length - 1; i++) {
+    for (let j = i + 1; j < greenCells.length; j++) {
+      const shared = sharedEdgeMeters(greenCells[i], greenCells[j])
+      if (shared <= 0) continue
+      parent[find(i)] = find(j)
+      sharedEdges[i] += shared
+      sharedEdges[j] += shared
+    }
+  }
+
+  const groups = new Map()
+  greenCells.forEach((cell, i) => {
+    const root = find(i)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(i)
+  })
+
+  // Patch perimeter: cell perimeters minus the edges shared inside the patch
+  const patches = [...groups.values()]
+    .map(members => {
+      const area = members.reduce((sum, i) => sum + greenCells[i].area, 0)
+      const perimeter = members.reduce((sum, i) => sum + cellPerimeterMeters(greenCells[i]) - sharedEdges[i], 0)
+      const latitude = members.reduce((sum, i) => sum + greenCells[i].latitude * greenCells[i].area, 0) / area
+      const longitude = members.reduce((sum, i) => sum + greenCells[i].longitude * greenCells[i].area, 0) / area
+      return { members, area, perimeter, latitude, longitude }
+    })
+    .sort((a, b) => b.area - a.area)
+    .map((patch, index) => ({ id: index + 1, ...patch }))
+
+  for (const patch of patches) {
+    for (const i of patch.members) greenCells[i].patchId = patch.id
+  }
+
+  const patchArea = patches.reduce((sum, patch) => sum + patch.area, 0)
+  const totalEdge = patches.reduce((sum, patch) => sum + patch.perimeter, 0)
+
+  return {
+    greenThreshold,
+    patchCount: patches.length,
+    patchArea,
+    meanPatchSize: patches.length > 0 ? patchArea / patches.length : null,
+    largestPatchIndex: landscapeArea > 0 && patches.length > 0 ? (patches[0].area / landscapeArea) * 100 : null,
+    edgeDensity: landscapeArea > 0 ? totalEdge / (landscapeArea * 100) : null, // m per hectare
+    connectivity: {
+      index: calculateConnectivity(patches, greenCells),
+      distance: CONNECTIVITY_DISTANCE_METERS
+    },
+    patches: patches.map(({ id, members, area, perimeter, latitude, longitude }) => ({
+      id,
+      cellCount: members.length,
+      area,
+      perimeter,
+      latitude,
+      longitude
+    }))
+  }
+}
+
+// CONNECT: percentage of patch pairs closer than the connectivity distance
+function calculateConnectivity(patches, greenCells) {
+  if (patches.length < 2) return null
+
+  const connected = new Set()
+  for (let i = 0; i < greenCells.length - 1; i++) {
+    for (let j = i + 1; j < greenCells.length; j++) {
+      const a = greenCells[i].patchId
+      const b = greenCells[j].patchId
+      if (a === b) continue
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`
+      if (!connected.has(key) && gapMeters(greenCells[i], greenCells[j]) <= CONNECTIVITY_DISTANCE_METERS) {
+        connected.add(key)
+      }
+    }
+  }
+
+  const pairs = (patches.length * (patches.length - 1)) / 2
+  return (connected.size / pairs) * 100
+}
+
+// Length of the edge two cells share; 0 when they only meet at a corner
+function sharedEdgeMeters(a, b) {
+  if (a.h3Index && b.h3Index) {
+    return h3.areNeighborCells(a.h3Index, b.h3Index)
+      ? h3.edgeLength(h3.cellsToDirectedEdge(a.h3Index, b.h3Index), 'm')
+      : 0
+  }
+
+  const [aWest, aSouth, aEast, aNorth] = a.bounds
+  const [bWest, bSouth, bEast, bNorth] = b.bounds
+  const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(a.latitude * Math.PI / 180)
+
+  if (Math.abs(aEast - bWest) < EPSILON || Math.abs(bEast - aWest) < EPSILON) {
+    const overlap = Math.min(aNorth, bNorth) - Math.max(aSouth, bSouth)
+    return overlap > EPSILON ? overlap * METERS_PER_DEGREE : 0
+  }
+  if (Math.abs(aNorth - bSouth) < EPSILON || Math.abs(bNorth - aSouth) < EPSILON) {
+    const overlap = Math.min(aEast, bEast) - Math.max(aWest, bWest)
+    return overlap > EPSILON ? overlap * metersPerDegreeLon : 0
+  }
+  return 0
+}
+
+// Edge-to-edge distance between the bounds of two cells
+function gapMeters(a, b) {
+  const dLon = Math.max(a.bounds[0] - b.bounds[2], 0, b.bounds[0] - a.bounds[2])
+  const dLat = Math.max(a.bounds[1] - b.bounds[3], 0, b.bounds[1] - a.bounds[3])
+  const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(a.latitude * Math.PI / 180)
+  return Math.hypot(dLon * metersPerDegreeLon, dLat * METERS_PER_DEGREE)
+}
+
+function cellPerimeterMeters(cell) {
+  if (cell.geometry) {
+    return turf.length(turf.polygonToLine(cell.geometry), { units: 'meters' })
+  }
+  const [west, south, east, north] = cell.bounds
+  const metersPerDegreeLon = METERS_PER_DEGREE * Math.cos(cell.latitude * Math.PI / 180)
+  return 2 * ((east - west) * metersPerDegreeLon + (north - south) * METERS_PER_DEGREE)
+}
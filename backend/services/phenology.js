@@ -0,0 +1,98 @@
+// Phenology profiles: monthly or seasonal index composites over the twelve
+// months of the analysis year, and per-cell metrics that separate evergreen
+// canopy (high all year) from seasonal lawns and crops (high amplitude).
+export const PHENOLOGY_MODES = ['monthly', 'seasonal']
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Meteorological seasons by starting month; Dec-Feb starts in the previous year
+const SEASONS = [
+  { startMonth: 12, label: 'Dec–Feb' },
+  { startMonth: 3, label: 'Mar–May' },
+  { startMonth: 6, label: 'Jun–Aug' },
+  { startMonth: 9, label: 'Sep–Nov' }
+]
+
+// A period counts as growing season when its NDVI is in the upper half of the
+// cell's seasonal range and above the bare-ground level
+const GROWING_SEASON_FRACTION = 0.5
+const MIN_GROWING_NDVI = 0.2
+
+// Composite periods ending with the last complete month of the analysis year.
+// For the current year that rolls back to the latest twelve complete months,
+// so the profile never asks for imagery that does not exist yet.
+export function buildPhenologyPeriods(mode, year, now = new Date()) {
+  const lastCompleteMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0))
+  const endOfYear = new Date(Date.UTC(year, 11, 31))
+  const end = lastCompleteMonth < endOfYear ? lastCompleteMonth : endOfYear
+
+  if (mode === 'seasonal') {
+    // Latest season ending on or before `end`, then the three before it
+    let endMonthIndex = end.getUTCFullYear() * 12 + end.getUTCMonth()
+    while (![1, 4, 7, 10].includes(endMonthIndex % 12)) endMonthIndex-- // Feb, May, Aug, Nov
+
+    const periods = []
+    for (let i = 3; i >= 0; i--) {
+      const startIndex = endMonthIndex - i * 3 - 2
+      const season = SEASONS.find(s => s.startMonth === (startIndex % 12) + 1)
+      periods.push(makePeriod(startIndex, startIndex + 2, season.label, (startIndex % 12) + 2))
+    }
+    return periods
+  }
+
+  const endMonthIndex = end.getUTCFullYear() * 12 + end.getUTCMonth()
+  const periods = []
+  for (let index = endMonthIndex - 11; index <= endMonthIndex; index++) {
+    periods.push(makePeriod(index, index, MONTH_LABELS[index % 12], (index % 12) + 1))
+  }
+  return periods
+}
+
+function makePeriod(startMonthIndex, endMonthIndex, label, representativeMonth) {
+  const startYear = Math.floor(startMonthIndex / 12)
+  const startMonth = (startMonthIndex % 12) + 1
+  const endYear = Math.floor(endMonthIndex / 12)
+  const endMonth = (endMonthIndex % 12) + 1
+  const lastDay = new Date(Date.UTC(endYear, endMonth, 0)).getUTCDate()
+
+  return {
+    label,
+    // Month used for the peak month metric (the middle month of a season)
+    month: representativeMonth > 12 ? representativeMonth - 12 : representativeMonth,
+    months: endMonthIndex - startMonthIndex + 1,
+    from: `${startYear}-${String(startMonth).padStart(2, '0')}-01`,
+    to: `${endYear}-${String(endMonth).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`
+  }
+}
+
+// Amplitude, peak month and growing-season length (months) from a cell's NDVI
+// per period; periods without imagery are null and ignored
+export function calculatePhenologyMetrics(values, periods) {
+  const observed = values
+    .map((value, i) => ({ value, period: periods[i] }))
+    .filter(({ value }) => value !== null && Number.isFinite(value))
+
+  if (observed.length < 2) {
+    return null
+  }
+
+  const min = Math.min(...observed.map(o => o.value))
+  const peak = observed.reduce((best, o) => (o.value > best.value ? o : best))
+  const amplitude = peak.value - min
+  const threshold = Math.max(MIN_GROWING_NDVI, min + amplitude * GROWING_SEASON_FRACTION)
+
+  // Scale to the full year when some periods had no clear imagery
+  const totalMonths = observed.reduce((sum, o) => sum + o.period.months, 0)
+  const growingMonths = observed
+    .filter(o => o.value >= threshold)
+    .reduce((sum, o) => sum + o.period.months, 0)
+
+  return {
+    amplitude,
+    minNdvi: min,
+    peakNdvi: peak.value,
+    peakMonth: peak.period.month,
+    growingSeasonMonths: Math.round((growingMonths / totalMonths) * 12 * 10) / 10,
+    periodsWithData: observed.length
+  }
+}
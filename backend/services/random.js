@@ -0,0 +1,36 @@
+// Seeded randomness so analyses are reproducible: every draw is keyed on the
+// analysis seed plus the inputs it describes (cell coordinates, year, ...)
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+export function hashValues(...values) {
+  // FNV-1a over the inputs; numbers are rounded so float noise does not change the hash
+  let hash = 2166136261
+  const key = values
+    .map(value => (typeof value === 'number' ? value.toFixed(5) : String(value)))
+    .join('|')
+
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  return hash >>> 0
+}
+
+export function hashToUnit(...values) {
+  return hashValues(...values) / 4294967296
+}
+
+export function createSeededRandom(seed, ...keys) {
+  // mulberry32 PRNG seeded from the hashed keys, returns values in [0, 1)
+  let state = hashValues(seed, ...keys)
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto'
+
+// Two in-memory caches: provider responses per cell (bounds, date window and
+// provider) and whole analyses (boundary hash plus every parameter). Entries
+// expire after a TTL and the least recently used entries are evicted once a
+// cache is full. Both are created on first use so .env settings apply.
+const HOUR_MS = 60 * 60 * 1000
+const MB = 1024 * 1024
+
+let cellCache = null
+let analysisCache = null
+
+export function getCellCache() {
+  if (!cellCache) {
+    cellCache = createCache({
+      name: 'cells',
+      ttlMs: (parseFloat(process.env.CELL_CACHE_TTL_HOURS) || 24) * HOUR_MS,
+      maxEntries: parseInt(process.env.CELL_CACHE_MAX_ENTRIES) || 50000,
+      maxBytes: (parseFloat(process.env.CELL_CACHE_MAX_MB) || 64) * MB
+    })
+  }
+  return cellCache
+}
+
+export function getAnalysisCache() {
+  if (!analysisCache) {
+    analysisCache = createCache({
+      name: 'analyses',
+      ttlMs: (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || 6) * HOUR_MS,
+      maxEntries: parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES) || 50,
+      maxBytes: (parseFloat(process.env.ANALYSIS_CACHE_MAX_MB) || 256) * MB
+    })
+  }
+  return analysisCache
+}
+
+export function getCacheStats() {
+  return {
+    cells: getCellCache().stats(),
+    analyses: getAnalysisCache().stats()
+  }
+}
+
+// Map iteration order is insertion order, so re-inserting on every hit keeps
+// the least recently used entry first. Values are stored as JSON: its length
+// is the entry's approximate size, and every hit gets its own copy, so callers
+// can never change what is cached
+export function createCache({ name, ttlMs, maxEntries, maxBytes = Infinity }) {
+  const entries = new Map()
+  let bytes = 0
+  let hits = 0
+  let misses = 0
+
+  const remove = (key) => {
+    bytes -= entries.get(key).json.length
+    entries.delete(key)
+  }
+
+  return {
+    // undefined on a miss; cached values may themselves be null
+    get(key) {
+      const entry = entries.get(key)
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) remove(key)
+        misses++
+        return undefined
+      }
+      entries.delete(key)
+      entries.set(key, entry)
+      hits++
+      return JSON.parse(entry.json)
+    },
+
+    // A value larger than the whole cache is not stored
+    set(key, value) {
+      if (entries.has(key)) remove(key)
+      const json = JSON.stringify(value ?? null)
+      if (json.length > maxBytes) return
+
+      entries.set(key, { json, expiresAt: Date.now() + ttlMs })
+      bytes += json.length
+      while (entries.size > maxEntries || bytes > maxBytes) {
+        remove(entries.keys().next().value)
+      }
+    },
+
+    clear() {
+      entries.clear()
+      bytes = 0
+    },
+
+    stats() {
+      return { name, entries: entries.size, maxEntries, bytes, maxBytes, ttlHours: ttlMs / HOUR_MS, hits, misses }
+    }
+  }
+}
+
+// SHA-256 of a value's JSON with object keys sorted, so key order never matters
+export function hashKey(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex')
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
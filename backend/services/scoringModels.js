@@ -0,0 +1,157 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const ROOT_DIR = path.join(__dirname, '..', '..')
+
+// Planning score models. Every model returns a 0-100 score with a breakdown of
+// its components, and all of them are graded with the same bands from
+// data/scoring/grades.json, which the frontend receives with the result.
+const DEFAULT_MODEL = 'percentage'
+
+// WHO guidance: at least 9 m² of green space per resident, ideally 50 m²
+const WHO_MINIMUM_PER_CAPITA = 9
+const WHO_IDEAL_PER_CAPITA = 50
+
+// 3-30-300 rule: 3 trees visible from every home, 30% canopy in every
+// neighbourhood, a park within 300 m of every residence
+const CANOPY_TARGET = 0.3
+const PARK_DISTANCE_METERS = 300
+
+export const SCORING_MODELS = {
+  percentage: {
+    label: 'Vegetation coverage',
+    description: 'Share of the city area covered by vegetation',
+    score: scorePercentage
+  },
+  'per-capita': {
+    label: 'Green space per capita',
+    description: `m² of green space per resident against the WHO minimum (${WHO_MINIMUM_PER_CAPITA} m²) and ideal (${WHO_IDEAL_PER_CAPITA} m²)`,
+    requiresPopulation: true,
+    score: scorePerCapita
+  },
+  '3-30-300': {
+    label: '3-30-300 rule',
+    description: '30% tree canopy in every neighbourhood and a park within 300 m',
+    score: score3030300
+  }
+}
+
+let gradeBands = null
+
+function getGradeBands() {
+  if (!gradeBands) {
+    const bandsPath = path.join(ROOT_DIR, 'data', 'scoring', 'grades.json')
+    gradeBands = JSON.parse(fs.readFileSync(bandsPath, 'utf8')).sort((a, b) => b.min - a.min)
+  }
+  return gradeBands
+}
+
+export function getDefaultScoringModel() {
+  return process.env.SCORING_MODEL || DEFAULT_MODEL
+}
+
+export function listScoringModels() {
+  const defaultName = getDefaultScoringModel()
+  return {
+    models: Object.entries(SCORING_MODELS).map(([name, model]) => ({
+      name,
+      label: model.label,
+      description: model.description,
+      requiresPopulation: Boolean(model.requiresPopulation),
+      default: name === defaultName
+    })),
+    grades: getGradeBands()
+  }
+}
+
+export function gradeScore(score) {
+  return getGradeBands().find(band => score >= band.min) || getGradeBands()[getGradeBands().length - 1]
+}
+
+// Throws when the model is unknown or cannot be computed for this city
+export function validateScoringModel(modelName, population) {
+  const model = SCORING_MODELS[modelName]
+  if (!model) {
+    throw new Error(`Unknown scoring model: ${modelName}`)
+  }
+  if (model.requiresPopulation && !population) {
+    throw new Error(`Scoring model "${modelName}" needs the city population`)
+  }
+}
+
+// Scores for every model that can be computed (per-capita needs a population),
+// with `model` naming the headline model
+export function calculateScores({ percentage, greenspaceArea, gridResults, population }, modelName = getDefaultScoringModel()) {
+  validateScoringModel(modelName, population)
+
+  const results = {}
+  for (const [name, { label, requiresPopulation, score }] of Object.entries(SCORING_MODELS)) {
+    if (requiresPopulation && !population) continue
+    const { value, components } = score({ percentage, greenspaceArea, gridResults, population })
+    const rounded = Math.round(Math.max(0, Math.min(100, value)) * 10) / 10
+    results[name] = { label, score: rounded, grade: gradeScore(rounded), components }
+  }
+
+  return { model: modelName, ...results[modelName], results, grades: getGradeBands() }
+}
+
+function scorePercentage({ percentage }) {
+  let value = percentage * 3 // Very Poor
+  if (percentage >= 8) value = 25 + (percentage - 8) * 3.5 // Poor
+  if (percentage >= 15) value = 50 + (percentage - 15) * 2.0 // Fair
+  if (percentage >= 25) value = 70 + (percentage - 25) * 1.0 // Good
+  if (percentage >= 40) value = 85 + (percentage - 40) * 0.75 // Excellent
+
+  return {
+    value,
+    components: [
+      { key: 'coverage', label: 'Vegetation coverage', value: percentage, unit: '%', target: 40, score: Math.min(100, value) }
+    ]
+  }
+}
+
+// 50 at the WHO minimum, 100 at the WHO ideal
+function scorePerCapita({ greenspaceArea, population }) {
+  const perCapita = (greenspaceArea * 1000000) / population
+  const value = perCapita < WHO_MINIMUM_PER_CAPITA
+    ? (perCapita / WHO_MINIMUM_PER_CAPITA) * 50
+    : 50 + Math.min(1, (perCapita - WHO_MINIMUM_PER_CAPITA) / (WHO_IDEAL_PER_CAPITA - WHO_MINIMUM_PER_CAPITA)) * 50
+
+  return {
+    value,
+    components: [
+      { key: 'perCapita', label: 'Green space per resident', value: perCapita, unit: 'm²', target: WHO_MINIMUM_PER_CAPITA, score: value, meetsTarget: perCapita >= WHO_MINIMUM_PER_CAPITA },
+      { key: 'population', label: 'Population', value: population, unit: 'residents', target: null, score: null }
+    ]
+  }
+}
+
+// Grid cells stand in for neighbourhoods, and each cell's share within 300 m of
+// green cells (greenAccess from the accessibility analysis) for park access; the
+// tree-visibility part of the rule needs street-level data and is not assessed
+function score3030300({ gridResults }) {
+  const cells = gridResults.filter(cell => cell.landCover)
+  const totalArea = cells.reduce((sum, cell) => sum + cell.area, 0)
+
+  const canopyArea = cells
+    .filter(cell => cell.landCover.treeCanopy >= CANOPY_TARGET)
+    .reduce((sum, cell) => sum + cell.area, 0)
+
+  const parkAccessArea = cells
+    .reduce((sum, cell) => sum + cell.area * (cell.greenAccess?.[PARK_DISTANCE_METERS] ?? 0), 0)
+
+  const canopyShare = totalArea > 0 ? canopyArea / totalArea : 0
+  const parkShare = totalArea > 0 ? parkAccessArea / totalArea : 0
+
+  return {
+    value: ((canopyShare + parkShare) / 2) * 100,
+    components: [
+      { key: 'trees', label: '3 trees visible from every home', value: null, unit: null, target: 3, score: null, note: 'Needs street-level tree data; not assessed' },
+      { key: 'canopy', label: `Neighbourhoods with ≥${CANOPY_TARGET * 100}% tree canopy`, value: canopyShare * 100, unit: '% of area', target: 100, score: canopyShare * 100 },
+      { key: 'parkAccess', label: `Area within ${PARK_DISTANCE_METERS} m of green space`, value: parkShare * 100, unit: '% of area', target: 100, score: parkShare * 100 }
+    ]
+  }
+}
@@ -0,0 +1,103 @@
+import axios from 'axios'
+
+// Sentinel Hub OAuth client-credentials authentication. Access tokens are
+// cached until shortly before they expire and shared by every concurrent cell
+// request; a 401 from the API drops the cached token and retries once.
+const DEFAULT_TOKEN_URL = 'https://services.sentinel-hub.com/auth/realms/main/protocol/openid-connect/token'
+const EXPIRY_MARGIN_MS = 60 * 1000 // refresh a minute before the token expires
+
+let sentinelTokenManager = null
+
+// Read lazily: the root .env is loaded after this module is imported
+function getSentinelAuthConfig() {
+  return {
+    tokenUrl: process.env.SENTINEL_TOKEN_URL || DEFAULT_TOKEN_URL,
+    clientId: process.env.VITE_SENTINEL_CLIENT_ID,
+    clientSecret: process.env.VITE_SENTINEL_CLIENT_SECRET
+  }
+}
+
+export function hasSentinelCredentials() {
+  const { clientId, clientSecret } = getSentinelAuthConfig()
+  return Boolean(clientId && clientSecret)
+}
+
+export function createTokenManager({ tokenUrl, clientId, clientSecret }) {
+  let cached = null // { accessToken, expiresAt }
+  let pending = null
+
+  async function requestToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret
+    })
+
+    try {
+      const response = await axios.post(tokenUrl, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      })
+
+      const { access_token: accessToken, expires_in: expiresIn } = response.data || {}
+      if (!accessToken) {
+        throw new Error('Token response did not include an access_token')
+      }
+
+      const lifetimeMs = (Number(expiresIn) || 3600) * 1000
+      cached = {
+        accessToken,
+        expiresAt: Date.now() + Math.max(0, lifetimeMs - EXPIRY_MARGIN_MS)
+      }
+      console.log(`🔑 Sentinel Hub token issued, valid for ${Math.round(lifetimeMs / 60000)} min`)
+      return accessToken
+    } catch (error) {
+      error.message = `Sentinel Hub token request failed: ${error.message}`
+      throw error
+    }
+  }
+
+  return {
+    async getToken() {
+      if (cached && Date.now() < cached.expiresAt) {
+        return cached.accessToken
+      }
+
+      // Concurrent callers wait on the same token request
+      if (!pending) {
+        pending = requestToken().finally(() => { pending = null })
+      }
+      return pending
+    },
+
+    // Only drop the token that was rejected, so parallel 401s refresh once
+    invalidate(accessToken) {
+      if (cached && cached.accessToken === accessToken) {
+        cached = null
+      }
+    }
+  }
+}
+
+export function getSentinelTokenManager() {
+  if (!sentinelTokenManager) {
+    sentinelTokenManager = createTokenManager(getSentinelAuthConfig())
+  }
+  return sentinelTokenManager
+}
+
+// Runs send(accessToken); on 401 the token is refreshed and the request retried once
+export async function withSentinelToken(send) {
+  const tokenManager = getSentinelTokenManager()
+  const accessToken = await tokenManager.getToken()
+
+  try {
+    return await send(accessToken)
+  } catch (error) {
+    if (error.response?.status !== 401) throw error
+
+    console.log('🔑 Sentinel Hub rejected the access token, refreshing')
+    tokenManager.invalidate(accessToken)
+    return send(await tokenManager.getToken())
+  }
+}
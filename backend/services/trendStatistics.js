@@ -0,0 +1,81 @@
+// Non-parametric trend statistics for yearly series: the Mann-Kendall test for
+// a monotonic trend and Sen's slope with its confidence interval. Both are
+// robust to outliers and make no assumption about the distribution, which
+// suits short series of noisy coverage estimates.
+const CONFIDENCE_LEVEL = 0.95
+const Z_CRITICAL = 1.959964 // two-sided 95% normal quantile
+const MIN_POINTS = 3
+
+// Trend of `points` ([{ x, y }], x in years); null with fewer than three points
+export function calculateTrend(points) {
+  const series = points
+    .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+    .sort((a, b) => a.x - b.x)
+  const n = series.length
+  if (n < MIN_POINTS) return null
+
+  // Mann-Kendall S: concordant minus discordant pairs
+  let s = 0
+  const slopes = []
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(series[j].y - series[i].y)
+      if (series[j].x !== series[i].x) {
+        slopes.push((series[j].y - series[i].y) / (series[j].x - series[i].x))
+      }
+    }
+  }
+
+  // Variance of S with the correction for tied values
+  const ties = {}
+  for (const { y } of series) ties[y] = (ties[y] || 0) + 1
+  const tieCorrection = Object.values(ties).reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0)
+  const varianceS = (n * (n - 1) * (2 * n + 5) - tieCorrection) / 18
+
+  // Normal approximation with continuity correction
+  let z = 0
+  if (varianceS > 0 && s > 0) z = (s - 1) / Math.sqrt(varianceS)
+  if (varianceS > 0 && s < 0) z = (s + 1) / Math.sqrt(varianceS)
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)))
+  const significant = pValue < 1 - CONFIDENCE_LEVEL
+
+  // Sen's slope: median pairwise slope, with the rank-based confidence interval
+  slopes.sort((a, b) => a - b)
+  const halfWidth = Z_CRITICAL * Math.sqrt(varianceS)
+  const lowerRank = Math.max(0, Math.round((slopes.length - halfWidth) / 2) - 1)
+  const upperRank = Math.min(slopes.length - 1, Math.round((slopes.length + halfWidth) / 2))
+
+  let direction = 'no significant trend'
+  if (significant && s > 0) direction = 'increasing'
+  if (significant && s < 0) direction = 'decreasing'
+
+  return {
+    method: 'Mann-Kendall',
+    n,
+    s,
+    tau: s / (n * (n - 1) / 2),
+    z,
+    pValue,
+    significant,
+    direction,
+    senSlope: median(slopes),
+    confidenceInterval: {
+      level: CONFIDENCE_LEVEL,
+      lower: slopes[lowerRank],
+      upper: slopes[upperRank]
+    }
+  }
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid]
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
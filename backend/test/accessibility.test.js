@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { analyzeAccessibility } from '../services/accessibility.js'
+
+const METERS_PER_DEGREE = 111320
+
+function makeCell(bounds, vegetationPercentage) {
+  const geometry = turf.bboxPolygon(bounds).geometry
+  return {
+    bounds,
+    geometry,
+    longitude: (bounds[0] + bounds[2]) / 2,
+    latitude: (bounds[1] + bounds[3]) / 2,
+    area: turf.area(geometry) / 1000000,
+    vegetationPercentage
+  }
+}
+
+// Near the equator: one green cell, its neighbour and a cell 3 km further east
+const row = () => [
+  makeCell([0, 0, 0.01, 0.01], 60),
+  makeCell([0.01, 0, 0.02, 0.01], 10),
+  makeCell([0.04, 0, 0.05, 0.01], 10)
+]
+
+test('distance runs from the cell centre to the nearest green cell edge', () => {
+  const cells = row()
+  analyzeAccessibility(cells, 30)
+
+  assert.equal(cells[0].distanceToGreen, 0)
+  assert.ok(Math.abs(cells[1].distanceToGreen - 0.005 * METERS_PER_DEGREE) < 2)
+  assert.ok(Math.abs(cells[2].distanceToGreen - 0.035 * METERS_PER_DEGREE) < 5)
+})
+
+test('green access counts the share of each cell within the distance bands', () => {
+  const cells = row()
+  const summary = analyzeAccessibility(cells, 30)
+
+  assert.deepEqual(cells[0].greenAccess, { 300: 1, 500: 1 })
+  // The 300 m and 500 m bands reach that far into the neighbouring cell
+  assert.ok(Math.abs(cells[1].greenAccess[300] - 300 / (0.01 * METERS_PER_DEGREE)) < 0.005)
+  assert.ok(Math.abs(cells[1].greenAccess[500] - 500 / (0.01 * METERS_PER_DEGREE)) < 0.005)
+  assert.deepEqual(cells[2].greenAccess, { 300: 0, 500: 0 })
+
+  assert.equal(summary.greenPatches, 1)
+  const expected = (cells[0].area + cells[1].area * cells[1].greenAccess[300]) / cells.reduce((sum, cell) => sum + cell.area, 0) * 100
+  assert.ok(Math.abs(summary.withinDistance[300].percentage - expected) < 1e-9)
+})
+
+test('a cell surrounded by reach of a green cell is fully within it', () => {
+  const cells = [makeCell([0, 0, 0.01, 0.01], 60), makeCell([0.001, 0.001, 0.002, 0.002], 10)]
+  analyzeAccessibility(cells, 30)
+  assert.equal(cells[1].greenAccess[300], 1)
+})
+
+test('without green cells distances are null and nothing is within reach', () => {
+  const cells = row().map(cell => ({ ...cell, vegetationPercentage: 5 }))
+  const summary = analyzeAccessibility(cells, 30)
+
+  assert.ok(cells.every(cell => cell.distanceToGreen === null))
+  assert.equal(summary.meanDistance, null)
+  assert.equal(summary.withinDistance[500].percentage, 0)
+})
@@ -0,0 +1,64 @@
+import { test, before, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { analyzeGreenspace } from '../services/greenpaceAnalyzer.js'
+
+// With the Sentinel credentials removed every cell is estimated locally; the
+// triangle's long diagonal edge gives the refinement clipped cells to split
+const cityData = { city: 'Triangle', latitude: '10.03', longitude: '10.03', country: 'Testland' }
+const triangle = turf.polygon([[[10, 10], [10.1, 10], [10, 10.1], [10, 10]]])
+const CELL_BUDGET = 40
+const FINEST_CELL_SIZE = 0.004
+
+let result
+
+before(async () => {
+  mock.method(console, 'log', () => {})
+  delete process.env.VITE_SENTINEL_CLIENT_ID
+  delete process.env.VITE_SENTINEL_CLIENT_SECRET
+  result = await analyzeGreenspace(cityData, triangle, null, null, { startYear: 2023, endYear: 2023 }, { provider: 'sentinel', seed: 1, cellBudget: CELL_BUDGET })
+})
+
+test('the grid stays within the cell budget and mixes cell sizes', () => {
+  const { grid } = result.analysis
+
+  assert.ok(result.gridData.length <= CELL_BUDGET)
+  assert.equal(grid.cellBudget, CELL_BUDGET)
+  assert.equal(grid.cellCount, result.gridData.length)
+  assert.ok(Object.keys(grid.depthCounts).length > 1)
+  assert.equal(grid.minCellSizeMeters, Math.round(FINEST_CELL_SIZE * 111320))
+  assert.ok(grid.maxCellSizeMeters > grid.minCellSizeMeters)
+
+  const depthCounts = {}
+  for (const cell of result.gridData) depthCounts[cell.depth] = (depthCounts[cell.depth] || 0) + 1
+  assert.deepEqual(depthCounts, grid.depthCounts)
+})
+
+test('every cell carries its depth and a size that halves per level', () => {
+  const coarseSize = FINEST_CELL_SIZE * Math.pow(2, result.analysis.grid.maxDepth)
+
+  for (const cell of result.gridData) {
+    const [west, south, east, north] = cell.bounds
+    assert.ok(Math.abs(cell.size - coarseSize / Math.pow(2, cell.depth)) < 1e-12)
+    // Cells reaching past the city bbox keep their full bounds and are clipped instead
+    assert.ok(Math.abs(east - west - cell.size) < 1e-9 && Math.abs(north - south - cell.size) < 1e-9)
+    assert.equal(cell.sizeMeters, Math.round(cell.size * 111320))
+  }
+})
+
+test('the mosaic covers the whole city without holes or overlaps', () => {
+  const cityArea = turf.area(triangle) / 1000000
+  const cellArea = result.gridData.reduce((sum, cell) => sum + cell.area, 0)
+  assert.ok(Math.abs(cellArea - cityArea) / cityArea < 0.001, `${cellArea} km² of cells for a ${cityArea} km² city`)
+
+  const cells = result.gridData
+  for (let i = 0; i < cells.length - 1; i++) {
+    for (let j = i + 1; j < cells.length; j++) {
+      const [aWest, aSouth, aEast, aNorth] = cells[i].bounds
+      const [bWest, bSouth, bEast, bNorth] = cells[j].bounds
+      const overlapLon = Math.min(aEast, bEast) - Math.max(aWest, bWest)
+      const overlapLat = Math.min(aNorth, bNorth) - Math.max(aSouth, bSouth)
+      assert.ok(overlapLon < 1e-9 || overlapLat < 1e-9, `cells ${i} and ${j} overlap`)
+    }
+  }
+})
@@ -0,0 +1,137 @@
+import { test, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import Database from 'better-sqlite3'
+import { hashKey } from '../services/resultCache.js'
+import {
+  createAnalysis,
+  startAnalysis,
+  completeAnalysis,
+  failAnalysis,
+  cancelAnalysis,
+  isActiveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  deleteAnalysis
+} from '../services/analysisStore.js'
+
+// The store opens its database on first use, so each run starts from a file
+// in the schema used before the job queue, with one analysis left running
+let tempDir
+
+before(() => {
+  mock.method(console, 'log', () => {})
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-store-'))
+  const dbPath = path.join(tempDir, 'analyses.db')
+
+  const oldDb = new Database(dbPath)
+  oldDb.exec(`
+    CREATE TABLE analyses (
+      session_id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      city TEXT,
+      parameters TEXT NOT NULL,
+      score REAL,
+      greenspace_percentage REAL,
+      error TEXT,
+      result TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      completed_at TEXT
+    )
+  `)
+  oldDb.prepare(`
+    INSERT INTO analyses (session_id, status, city, parameters, created_at, updated_at)
+    VALUES ('old-running', 'running', 'Leeds', '{}', '2024-01-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z')
+  `).run()
+  oldDb.close()
+
+  process.env.ANALYSIS_DB_PATH = dbPath
+})
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+test('an old database gains started_at and its unfinished analyses are marked failed', () => {
+  const analysis = getAnalysis('old-running')
+
+  assert.equal(analysis.status, 'failed')
+  assert.equal(analysis.error, 'Server restarted before the analysis finished')
+  assert.equal(analysis.startedAt, null)
+  assert.ok(analysis.completedAt)
+  assert.equal(isActiveAnalysis(analysis), false)
+})
+
+test('an analysis is stored from queued through running to completed', () => {
+  createAnalysis({ sessionId: 'round-trip', city: 'Bristol', parameters: { city: 'Bristol', gridSize: 1 } })
+  assert.equal(getAnalysis('round-trip').status, 'queued')
+  assert.equal(isActiveAnalysis(getAnalysis('round-trip')), true)
+
+  startAnalysis('round-trip')
+  const running = getAnalysis('round-trip')
+  assert.equal(running.status, 'running')
+  assert.ok(running.startedAt)
+
+  const result = { score: 72.5, greenspacePercentage: 41.2, gridResults: [{ id: 1 }] }
+  completeAnalysis('round-trip', result)
+  const completed = getAnalysis('round-trip')
+  assert.equal(completed.status, 'completed')
+  assert.equal(completed.score, 72.5)
+  assert.equal(completed.greenspacePercentage, 41.2)
+  assert.deepEqual(completed.result, result)
+  assert.deepEqual(completed.parameters, { city: 'Bristol', gridSize: 1 })
+  assert.equal(completed.error, undefined)
+  assert.ok(completed.completedAt >= completed.startedAt)
+})
+
+test('failed and cancelled analyses keep their outcome', () => {
+  createAnalysis({ sessionId: 'failing', city: 'York', parameters: {} })
+  failAnalysis('failing', 'City not found')
+  assert.equal(getAnalysis('failing').status, 'failed')
+  assert.equal(getAnalysis('failing').error, 'City not found')
+
+  createAnalysis({ sessionId: 'cancelled', city: 'Bath', parameters: {} })
+  cancelAnalysis('cancelled')
+  assert.equal(getAnalysis('cancelled').status, 'cancelled')
+  assert.equal(getAnalysis('cancelled').result, null)
+})
+
+test('uploaded boundaries and districts are stored as hashes', () => {
+  const boundary = { format: 'geojson', name: 'Ward', data: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] } }
+  const districts = { type: 'FeatureCollection', features: [{}, {}] }
+  createAnalysis({ sessionId: 'uploaded', city: 'Ward', parameters: { gridSize: 1, boundary, districts } })
+
+  assert.deepEqual(getAnalysis('uploaded').parameters, {
+    gridSize: 1,
+    boundary: { format: 'geojson', name: 'Ward', hash: hashKey(boundary.data) },
+    districts: { features: 2, hash: hashKey(districts) }
+  })
+})
+
+test('listAnalyses returns newest first with filtering and paging', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2030-01-01T00:00:00Z') })
+  for (const sessionId of ['list-a', 'list-b', 'list-c']) {
+    createAnalysis({ sessionId, city: 'Leeds', parameters: {} })
+    t.mock.timers.tick(1000)
+  }
+  failAnalysis('list-b', 'Imagery unavailable')
+
+  const { analyses, total } = listAnalyses({ limit: 2 })
+  assert.equal(total, 8)
+  assert.deepEqual(analyses.map(a => a.sessionId), ['list-c', 'list-b'])
+  assert.equal(analyses[0].result, undefined)
+  assert.equal(analyses[0].parameters, undefined)
+
+  const failed = listAnalyses({ status: 'failed', limit: 10 })
+  assert.deepEqual(failed.analyses.map(a => a.sessionId).sort(), ['failing', 'list-b', 'old-running'])
+  assert.equal(failed.total, 3)
+
+  assert.deepEqual(listAnalyses({ limit: 1, offset: 1 }).analyses.map(a => a.sessionId), ['list-b'])
+})
+
+test('deleteAnalysis removes the record once', () => {
+  assert.equal(deleteAnalysis('cancelled'), true)
+  assert.equal(getAnalysis('cancelled'), null)
+  assert.equal(deleteAnalysis('cancelled'), false)
+})
@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { parseUploadedBoundary } from '../services/boundaryUpload.js'
+
+const SQUARE = [[-79.4, 43.6], [-79.3, 43.6], [-79.3, 43.7], [-79.4, 43.7], [-79.4, 43.6]]
+
+test('rejects unknown formats and missing data', async () => {
+  await assert.rejects(parseUploadedBoundary({ format: 'gpx', data: '{}' }), /boundary.format must be one of/)
+  await assert.rejects(parseUploadedBoundary({ format: 'geojson' }), /boundary.data is required/)
+})
+
+test('parses a GeoJSON polygon and names the boundary', async () => {
+  const { boundary, repairs, sourceCrs } = await parseUploadedBoundary({
+    format: 'geojson',
+    data: JSON.stringify({ type: 'Polygon', coordinates: [SQUARE] }),
+    name: 'Site'
+  })
+
+  assert.equal(boundary.geometry.type, 'Polygon')
+  assert.equal(boundary.properties.name, 'Site')
+  assert.equal(sourceCrs, 'EPSG:4326')
+  assert.deepEqual(repairs, [])
+})
+
+test('closes open rings and drops repeated vertices', async () => {
+  const open = [SQUARE[0], SQUARE[1], SQUARE[1], SQUARE[2], SQUARE[3]]
+  const { boundary, repairs } = await parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [open] } })
+
+  assert.ok(repairs.includes('closed an open ring'))
+  assert.ok(repairs.includes('removed duplicate vertices'))
+  assert.equal(boundary.geometry.coordinates[0].length, 5)
+})
+
+test('splits a bow-tie polygon at the crossing', async () => {
+  const bowTie = [[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]
+  const { boundary, repairs } = await parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [bowTie] } })
+
+  assert.ok(repairs.includes('split self-intersecting rings'))
+  assert.equal(boundary.geometry.type, 'MultiPolygon')
+  assert.ok(turf.area(boundary) > 0)
+})
+
+test('rejects an empty ring with a readable error', async () => {
+  await assert.rejects(
+    parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [[]] } }),
+    { message: 'The outer ring has 0 positions; a ring needs at least 4 with the first and last equal, or 3 left open' }
+  )
+})
+
+test('closes an open triangle', async () => {
+  const triangle = [[0, 0], [1, 0], [0, 1]]
+  const { boundary, repairs } = await parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [triangle] } })
+
+  assert.ok(repairs.includes('closed an open ring'))
+  assert.equal(boundary.geometry.coordinates[0].length, 4)
+})
+
+test('rejects rings without 3 distinct corners and non-numeric positions', async () => {
+  await assert.rejects(
+    parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0], [1, 1]]] } }),
+    /fewer than 3 distinct corners/
+  )
+  await assert.rejects(
+    parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [SQUARE, [[0, 0], ['a', 1], [1, 1], [0, 0]]] } }),
+    /Hole 1 has a position that is not a \[longitude, latitude\] pair/
+  )
+})
+
+test('reprojects GeoJSON with a legacy Web Mercator crs member', async () => {
+  const projected = SQUARE.map(point => turf.toMercator(turf.point(point)).geometry.coordinates)
+  const { boundary, sourceCrs } = await parseUploadedBoundary({
+    format: 'geojson',
+    data: { type: 'Polygon', coordinates: [projected], crs: { type: 'name', properties: { name: 'EPSG:3857' } } }
+  })
+
+  assert.equal(sourceCrs, 'EPSG:3857')
+  const [west, south] = turf.bbox(boundary)
+  assert.ok(Math.abs(west - -79.4) < 1e-6 && Math.abs(south - 43.6) < 1e-6)
+})
+
+test('rejects projected coordinates without a crs', async () => {
+  await assert.rejects(
+    parseUploadedBoundary({ format: 'geojson', data: { type: 'Polygon', coordinates: [[[0, 0], [500000, 0], [500000, 500000], [0, 0]]] } }),
+    /not WGS84 longitude\/latitude/
+  )
+})
+
+test('parses KML polygons', async () => {
+  const coordinates = SQUARE.map(point => point.join(',')).join(' ')
+  const data = `<kml xmlns="http://www.opengis.net/kml/2.2"><Placemark><name>Park</name><Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark></kml>`
+  const { boundary } = await parseUploadedBoundary({ format: 'kml', data })
+
+  assert.equal(boundary.properties.name, 'Park')
+  assert.ok(turf.area(boundary) > 0)
+})
+
+test('merges the polygons of a KML MultiGeometry', async () => {
+  const ring = (west) => [[west, 0], [west + 1, 0], [west + 1, 1], [west, 1], [west, 0]].map(point => point.join(',')).join(' ')
+  const polygon = (west) => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${ring(west)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+  const data = `<kml xmlns="http://www.opengis.net/kml/2.2"><Placemark><name>Islands</name><MultiGeometry>${polygon(0)}${polygon(2)}<Point><coordinates>5,5</coordinates></Point></MultiGeometry></Placemark></kml>`
+  const { boundary, repairs } = await parseUploadedBoundary({ format: 'kml', data })
+
+  assert.equal(boundary.properties.name, 'Islands')
+  assert.equal(boundary.geometry.type, 'MultiPolygon')
+  assert.equal(boundary.geometry.coordinates.length, 2)
+  assert.ok(repairs.includes('ignored 1 non-polygon features'))
+  assert.ok(repairs.includes('merged 2 polygons'))
+})
+
+test('rejects malformed KML with the parser error', async () => {
+  await assert.rejects(
+    parseUploadedBoundary({ format: 'kml', data: '<kml><Placemark><Polygon></kml>' }),
+    /^Error: Invalid KML: Opening and ending tag mismatch/
+  )
+  await assert.rejects(parseUploadedBoundary({ format: 'kml', data: 'not xml' }), /Invalid KML: missing root element/)
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectCellChange, detectVegetationChange, isMeasuredCell } from '../services/changeDetection.js'
+
+const cell = (vegetationPercentage, source = 'sentinel', extra = {}) => ({
+  vegetationPercentage,
+  ndvi: vegetationPercentage === null ? null : vegetationPercentage / 100,
+  source,
+  area: 1,
+  latitude: 43.7,
+  longitude: -79.4,
+  bounds: [-79.41, 43.69, -79.39, 43.71],
+  ...extra
+})
+
+test('only imagery cells count as measured', () => {
+  assert.equal(isMeasuredCell(cell(40)), true)
+  for (const source of ['estimate', 'reference', 'unmeasured']) {
+    assert.equal(isMeasuredCell(cell(40, source)), false)
+  }
+})
+
+test('classifies a cell by the change threshold', () => {
+  assert.equal(detectCellChange(cell(40), cell(50), 10).class, 'gain')
+  assert.equal(detectCellChange(cell(40), cell(30), 10).class, 'loss')
+  assert.equal(detectCellChange(cell(40), cell(49), 10).class, 'stable')
+
+  const change = detectCellChange(cell(40), cell(55), 10)
+  assert.equal(change.vegetationDelta, 15)
+  assert.ok(Math.abs(change.ndviDelta - 0.15) < 1e-9)
+})
+
+test('estimated, reference and cloudy cells are unmeasured in either year', () => {
+  assert.equal(detectCellChange(cell(40, 'estimate'), cell(80), 10).class, 'unmeasured')
+  assert.equal(detectCellChange(cell(40), cell(80, 'reference'), 10).class, 'unmeasured')
+  const cloudy = detectCellChange(cell(40), cell(null, 'unmeasured'), 10)
+  assert.deepEqual(cloudy, { vegetationDelta: null, ndviDelta: null, class: 'unmeasured' })
+})
+
+test('summarises change over measured cells and ranks loss hotspots by area lost', () => {
+  const fromCells = [cell(60), cell(50, 'sentinel', { area: 2 }), cell(40), cell(30), cell(20, 'estimate')]
+  const toCells = [cell(40), cell(40, 'sentinel', { area: 2 }), cell(42), cell(50), cell(90, 'estimate')]
+  const targetCells = toCells.map(c => ({ ...c }))
+
+  const result = detectVegetationChange(fromCells, toCells, { fromYear: 2018, toYear: 2024, minChange: 10, targetCells, hotspotCount: 5 })
+
+  assert.deepEqual(targetCells.map(c => c.change.class), ['loss', 'loss', 'stable', 'gain', 'unmeasured'])
+  assert.equal(toCells[0].change, undefined)
+
+  const { summary } = result
+  assert.deepEqual(summary.loss, { cells: 2, area: 3 })
+  assert.deepEqual(summary.unmeasured, { cells: 1, area: 1 })
+  assert.equal(summary.measuredArea, 5)
+  // (-20·1 - 10·2 + 2·1 + 20·1) / 5
+  assert.equal(summary.meanVegetationDelta, -3.6)
+  assert.ok(Math.abs(summary.vegetationAreaChange - -0.18) < 1e-9)
+
+  // Both losses lost 0.2 km² of vegetation; ties keep grid order
+  assert.deepEqual(result.hotspots.map(h => [h.rank, h.fromPercentage, h.areaLost]), [[1, 60, 0.2], [2, 50, 0.2]])
+})
+
+test('with no measured cells the mean change is null', () => {
+  const result = detectVegetationChange([cell(10, 'estimate')], [cell(20, 'estimate')], { fromYear: 2020, toYear: 2024, minChange: 10 })
+  assert.equal(result.summary.meanVegetationDelta, null)
+  assert.deepEqual(result.hotspots, [])
+})
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { inferClimateZone, isValidMonthDay, resolveCompositingWindow, getWindowDates } from '../services/compositingWindow.js'
+
+test('infers the climate zone from the absolute latitude', () => {
+  assert.equal(inferClimateZone(1.35), 'equatorial')
+  assert.equal(inferClimateZone(-12.5), 'tropical')
+  assert.equal(inferClimateZone(-33.9), 'subtropical')
+  assert.equal(inferClimateZone(43.7), 'temperate')
+  assert.equal(inferClimateZone(60.2), 'boreal')
+})
+
+test('validates month-day strings, leap day included', () => {
+  assert.equal(isValidMonthDay('02-29'), true)
+  assert.equal(isValidMonthDay('12-31'), true)
+  for (const value of ['02-30', '13-01', '00-10', '6-1', '06-01-2024', null, 601]) {
+    assert.equal(isValidMonthDay(value), false, String(value))
+  }
+})
+
+test('uses the northern window as is and shifts it six months in the south', () => {
+  assert.deepEqual(resolveCompositingWindow(43.7), { start: '06-01', end: '08-31', climateZone: 'temperate', hemisphere: 'northern', source: 'latitude' })
+  // Summer in Melbourne; 08-31 shifts to 02-29, the last possible day
+  assert.deepEqual(resolveCompositingWindow(-37.8), { start: '12-01', end: '02-29', climateZone: 'temperate', hemisphere: 'southern', source: 'latitude' })
+})
+
+test('does not shift full-year windows and reports a requested zone', () => {
+  assert.deepEqual(resolveCompositingWindow(-23.7, { climateZone: 'arid' }), { start: '01-01', end: '12-31', climateZone: 'arid', hemisphere: 'southern', source: 'climate-zone' })
+})
+
+test('an explicit window wins over the climate zone', () => {
+  const window = resolveCompositingWindow(-33.9, { climateZone: 'mediterranean', window: { start: '09-01', end: '11-30' } })
+  assert.deepEqual(window, { start: '09-01', end: '11-30', climateZone: 'mediterranean', hemisphere: 'southern', source: 'request' })
+})
+
+test('windows that wrap past December start in the previous year', () => {
+  assert.deepEqual(getWindowDates({ start: '06-01', end: '08-31' }, 2024), { from: '2024-06-01', to: '2024-08-31' })
+  assert.deepEqual(getWindowDates({ start: '12-01', end: '02-29' }, 2024), { from: '2023-12-01', to: '2024-02-29' })
+  // Outside leap years 02-29 falls back to 02-28
+  assert.deepEqual(getWindowDates({ start: '12-01', end: '02-29' }, 2023), { from: '2022-12-01', to: '2023-02-28' })
+})
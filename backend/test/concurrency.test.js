@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { sleep, runWorkerPool, createRateLimiter, classifyError, withRetry } from '../services/concurrency.js'
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } })
+
+test('sleep rejects with the abort reason when its signal is aborted', async () => {
+  const controller = new AbortController()
+  const started = Date.now()
+  setTimeout(() => controller.abort(new Error('cancelled')), 10)
+
+  await assert.rejects(sleep(60000, controller.signal), { message: 'cancelled' })
+  assert.ok(Date.now() - started < 1000)
+  await assert.rejects(sleep(10, controller.signal), { message: 'cancelled' })
+})
+
+test('runWorkerPool keeps the order of items', async () => {
+  const results = await runWorkerPool([30, 10, 20], async (ms, index) => {
+    await sleep(ms)
+    return index
+  }, 3)
+  assert.deepEqual(results, [0, 1, 2])
+})
+
+test('a rate limiter wait is abortable', async () => {
+  const limiter = createRateLimiter(0.01)
+  const controller = new AbortController()
+  await limiter.acquire(controller.signal)
+
+  const waiting = limiter.acquire(controller.signal)
+  controller.abort(new Error('cancelled'))
+  await assert.rejects(waiting, { message: 'cancelled' })
+})
+
+test('classifyError maps provider errors to reasons', () => {
+  assert.deepEqual(classifyError(httpError(429, { 'retry-after': '2' })), { reason: 'rate-limited', transient: true, retryAfterMs: 2000 })
+  assert.equal(classifyError(httpError(403)).reason, 'unauthorized')
+  assert.equal(classifyError(httpError(503)).transient, true)
+  assert.equal(classifyError(Object.assign(new Error('socket'), { code: 'ECONNRESET' })).reason, 'network-error')
+})
+
+test('withRetry retries transient failures and reports attempts', async () => {
+  let calls = 0
+  const result = await withRetry(async () => {
+    calls++
+    if (calls < 3) throw httpError(503)
+    return 'ok'
+  }, { retries: 3, baseDelayMs: 1 })
+  assert.equal(result, 'ok')
+
+  await assert.rejects(withRetry(async () => { throw httpError(400) }, { retries: 3, baseDelayMs: 1 }), { reason: 'client-error', attempts: 1 })
+})
+
+test('withRetry caps Retry-After and stops waiting when aborted', async () => {
+  const controller = new AbortController()
+  let delay
+  const retrying = withRetry(async () => { throw httpError(429, { 'retry-after': '86400' }) }, {
+    retries: 3,
+    signal: controller.signal,
+    onRetry: (retry) => {
+      delay = retry.delay
+      controller.abort(new Error('cancelled'))
+    }
+  })
+
+  await assert.rejects(retrying, { message: 'cancelled' })
+  assert.equal(delay, 30000)
+})
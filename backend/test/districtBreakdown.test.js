@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { analyzeDistricts, validateDistrictCollection } from '../services/districtBreakdown.js'
+
+// 2 × 2 grid of 0.01° cells over [0, 0, 0.02, 0.02]
+function makeGrid() {
+  const cells = []
+  for (const x of [0, 0.01]) {
+    for (const y of [0, 0.01]) {
+      const bounds = [x, y, x + 0.01, y + 0.01]
+      const geometry = turf.bboxPolygon(bounds).geometry
+      cells.push({ bounds, geometry, area: turf.area(geometry) / 1000000, vegetationPercentage: 50, ndvi: 0.4 })
+    }
+  }
+  return cells
+}
+
+function analyze(features) {
+  const gridResults = makeGrid()
+  return analyzeDistricts(turf.featureCollection(features), {
+    gridResults,
+    coverageByYear: { 2024: { gridResults } },
+    vegetatedCellThreshold: 25,
+    scoringModel: 'percentage'
+  })
+}
+
+const polygon = (coordinates, name) => turf.feature({ type: 'Polygon', coordinates }, { name })
+
+test('validateDistrictCollection rejects non-polygon features', () => {
+  assert.equal(validateDistrictCollection({ type: 'FeatureCollection', features: [turf.point([0, 0])] }), 'districts feature 0 is not a Polygon or MultiPolygon')
+  assert.equal(validateDistrictCollection(turf.featureCollection([])), 'districts has no features')
+})
+
+test('a bow-tie district is split at the crossing and still analysed', () => {
+  const bowTie = polygon([[[0, 0], [0.02, 0.02], [0.02, 0], [0, 0.02], [0, 0]]], 'Bow tie')
+  const [district] = analyze([bowTie])
+
+  assert.equal(district.invalid, null)
+  assert.equal(district.name, 'Bow tie')
+  // Two triangles meeting at the centre cover half the grid
+  const gridArea = makeGrid().reduce((sum, cell) => sum + cell.area, 0)
+  assert.ok(Math.abs(district.area - gridArea / 2) < 0.01)
+  assert.equal(district.percentage, 50)
+})
+
+test('a district that cannot be repaired is reported invalid without failing the others', () => {
+  const degenerate = polygon([[[0, 0], [0, 0], [0, 0], [0, 0]]], 'Degenerate')
+  const square = polygon([[[0, 0], [0.01, 0], [0.01, 0.01], [0, 0.01], [0, 0]]], 'Square')
+  const [invalid, valid] = analyze([degenerate, square])
+
+  assert.match(invalid.invalid, /fewer than 3 distinct corners/)
+  assert.equal(invalid.area, 0)
+  assert.equal(invalid.score, null)
+  assert.equal(valid.invalid, null)
+  assert.equal(valid.cellCount, 1)
+  assert.equal(valid.percentage, 50)
+})
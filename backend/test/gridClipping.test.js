@@ -0,0 +1,54 @@
+import { test, before, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import { analyzeGreenspace } from '../services/greenpaceAnalyzer.js'
+
+// With the Sentinel credentials removed every cell is estimated locally, so the
+// whole pipeline runs offline and only the grid geometry is under test
+const cityData = { city: 'Triangle', latitude: '10.01', longitude: '10.01', country: 'Testland' }
+const triangle = turf.polygon([[[10, 10], [10.03, 10], [10, 10.03], [10, 10]]])
+
+let result
+
+before(async () => {
+  mock.method(console, 'log', () => {})
+  delete process.env.VITE_SENTINEL_CLIENT_ID
+  delete process.env.VITE_SENTINEL_CLIENT_SECRET
+  result = await analyzeGreenspace(cityData, triangle, null, null, { startYear: 2023, endYear: 2023 }, { provider: 'sentinel', seed: 1, cellBudget: 100 })
+})
+
+test('cell areas add up to the city area instead of the full bbox cells', () => {
+  const cellArea = result.gridData.reduce((sum, cell) => sum + cell.area, 0)
+  const cityArea = turf.area(triangle) / 1000000
+
+  assert.ok(Math.abs(result.totalArea - cityArea) < 1e-6)
+  assert.ok(Math.abs(cellArea - cityArea) / cityArea < 0.001, `${cellArea} km² of cells for a ${cityArea} km² city`)
+})
+
+test('edge cells are clipped to the city and carry their clipped geometry', () => {
+  const edgeCells = result.gridData.filter(cell => cell.clipFraction < 1)
+  assert.ok(edgeCells.length > 0)
+
+  for (const cell of result.gridData) {
+    const fullArea = turf.area(turf.bboxPolygon(cell.bounds)) / 1000000
+    assert.ok(Math.abs(cell.area - fullArea * cell.clipFraction) < 1e-6)
+    assert.ok(Math.abs(turf.area(cell.geometry) / 1000000 - cell.area) < 1e-6)
+    // Nothing of a cell reaches past the hypotenuse
+    const outside = turf.difference(turf.feature(cell.geometry), triangle)
+    assert.ok(!outside || turf.area(outside) < 1)
+    // The sample point lies in the part of the cell that is analysed
+    assert.ok(turf.booleanPointInPolygon([cell.longitude, cell.latitude], cell.geometry))
+    const [west, south, east, north] = turf.bbox(cell.geometry)
+    assert.ok(west >= 10 - 1e-9 && south >= 10 - 1e-9 && east <= 10.03 + 1e-9 && north <= 10.03 + 1e-9)
+  }
+})
+
+test('vegetated area is weighted by the clipped cell area', () => {
+  const threshold = result.analysis.classificationProfile.thresholds.vegetatedCell
+  const vegetatedArea = result.gridData
+    .filter(cell => cell.vegetationPercentage > threshold)
+    .reduce((sum, cell) => sum + cell.area * cell.vegetationPercentage / 100, 0)
+  assert.ok(Math.abs(result.greenspaceArea - vegetatedArea) < 1e-6)
+  const cellArea = result.gridData.reduce((sum, cell) => sum + cell.area, 0)
+  assert.ok(Math.abs(result.greenspacePercentage - vegetatedArea / cellArea * 100) < 1e-6)
+})
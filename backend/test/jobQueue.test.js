@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createJobQueue } from '../services/jobQueue.js'
+
+// A job that runs until it is released or aborted
+function blockingJob() {
+  let release
+  const done = new Promise(resolve => { release = resolve })
+  return {
+    release,
+    run: async (signal) => {
+      await new Promise(resolve => {
+        done.then(resolve)
+        signal.addEventListener('abort', resolve)
+      })
+    }
+  }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+test('runs at most `concurrency` jobs and starts waiting jobs by priority', async () => {
+  const queue = createJobQueue({ concurrency: 1 })
+  const order = []
+  const first = blockingJob()
+
+  assert.equal(queue.enqueue({ id: 'first', run: first.run }), 0)
+  assert.equal(queue.enqueue({ id: 'low', priority: 'low', run: async () => order.push('low') }), 1)
+  assert.equal(queue.enqueue({ id: 'normal', run: async () => order.push('normal') }), 1)
+  assert.equal(queue.enqueue({ id: 'high', priority: 'high', run: async () => order.push('high') }), 1)
+  assert.equal(queue.position('low'), 3)
+  assert.deepEqual(queue.stats(), { concurrency: 1, running: 1, queued: 3, cancelling: 0 })
+
+  first.release()
+  for (let i = 0; i < 10; i++) await tick()
+  assert.deepEqual(order, ['high', 'normal', 'low'])
+  assert.deepEqual(queue.stats(), { concurrency: 1, running: 0, queued: 0, cancelling: 0 })
+})
+
+test('cancelling a waiting job removes it from the queue', async () => {
+  const queue = createJobQueue({ concurrency: 1 })
+  const first = blockingJob()
+  let ran = false
+  queue.enqueue({ id: 'first', run: first.run })
+  queue.enqueue({ id: 'second', run: async () => { ran = true } })
+
+  assert.equal(queue.cancel('second'), 'queued')
+  assert.equal(queue.position('second'), null)
+  first.release()
+  for (let i = 0; i < 5; i++) await tick()
+  assert.equal(ran, false)
+})
+
+test('a double cancel of a running job reports cancelling until it stops', async () => {
+  const queue = createJobQueue({ concurrency: 1 })
+  const signals = []
+  let stop
+  const stopped = new Promise(resolve => { stop = resolve })
+  queue.enqueue({
+    id: 'job',
+    run: async (signal) => {
+      signals.push(signal)
+      await stopped
+    }
+  })
+  await tick()
+
+  assert.equal(queue.cancel('job'), 'running')
+  assert.equal(signals[0].aborted, true)
+  assert.equal(queue.cancel('job'), 'cancelling')
+  assert.equal(queue.stats().cancelling, 1)
+
+  stop()
+  for (let i = 0; i < 5; i++) await tick()
+  assert.equal(queue.cancel('job'), null)
+  assert.equal(queue.cancel('unknown'), null)
+})
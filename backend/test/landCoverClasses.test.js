@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  PIXEL_CLASSES,
+  classifyPixel,
+  landCoverFromCounts,
+  landCoverFromVegetation,
+  applyCroplandFromPhenology,
+  summarizeLandCover
+} from '../services/landCoverClasses.js'
+
+const classOf = (indices) => PIXEL_CLASSES[classifyPixel({ ndvi: 0, ndwi: 0, ndbi: 0, bsi: 0, ...indices })]
+
+test('classifyPixel separates water, canopy, grass, bare soil and built-up', () => {
+  assert.equal(classOf({ ndwi: 0.3, ndvi: 0.7 }), 'water')
+  assert.equal(classOf({ ndvi: 0.6 }), 'treeCanopy')
+  assert.equal(classOf({ ndvi: 0.35 }), 'grassShrub')
+  assert.equal(classOf({ ndvi: 0.1, bsi: 0.4 }), 'bareSoil')
+  assert.equal(classOf({ ndvi: 0.1, ndbi: -0.2 }), 'bareSoil')
+  assert.equal(classOf({ ndvi: 0.1, ndbi: 0.15 }), 'builtUp')
+})
+
+test('classifyPixel treats a missing SWIR band as built-up rather than bare soil', () => {
+  assert.equal(classOf({ ndvi: 0.05, ndbi: NaN, bsi: NaN }), 'builtUp')
+})
+
+test('classifyPixel serialises into a self-contained function', () => {
+  const rebuilt = new Function(`return ${classifyPixel.toString()}`)()
+  assert.equal(rebuilt({ ndvi: 0.7, ndwi: 0 }), 1)
+})
+
+test('landCoverFromCounts turns pixel counts into fractions', () => {
+  const landCover = landCoverFromCounts([1, 2, 3, 0, 4])
+  assert.equal(landCover.water, 0.1)
+  assert.equal(landCover.treeCanopy, 0.2)
+  assert.equal(landCover.grassShrub, 0.3)
+  assert.equal(landCover.builtUp, 0.4)
+  assert.equal(landCover.cropland, 0)
+  assert.equal(landCoverFromCounts([0, 0, 0, 0, 0]), null)
+})
+
+test('landCoverFromVegetation splits the vegetated share by cell type', () => {
+  const park = landCoverFromVegetation(80, 'park')
+  assert.ok(Math.abs(park.treeCanopy - 0.4) < 1e-9)
+  assert.ok(Math.abs(park.grassShrub - 0.4) < 1e-9)
+  assert.ok(Math.abs(park.builtUp - 0.2) < 1e-9)
+
+  assert.equal(landCoverFromVegetation(40, 'water').water, 1)
+  assert.equal(landCoverFromVegetation(150).builtUp, 0)
+})
+
+test('grass with a short, strongly seasonal profile becomes cropland', () => {
+  const landCover = { ...landCoverFromCounts([0, 1, 3, 0, 0]) }
+  const crop = applyCroplandFromPhenology(landCover, { amplitude: 0.5, growingSeasonMonths: 4 })
+  assert.equal(crop.cropland, 0.75)
+  assert.equal(crop.grassShrub, 0)
+  assert.equal(crop.treeCanopy, 0.25)
+
+  assert.equal(applyCroplandFromPhenology(landCover, { amplitude: 0.2, growingSeasonMonths: 4 }), landCover)
+  assert.equal(applyCroplandFromPhenology(landCover, { amplitude: 0.5, growingSeasonMonths: 8 }), landCover)
+  assert.equal(applyCroplandFromPhenology(landCover, null), landCover)
+})
+
+test('summarizeLandCover weights classes by cell area and skips unclassified cells', () => {
+  const summary = summarizeLandCover([
+    { area: 3, landCover: landCoverFromCounts([0, 1, 0, 0, 0]) },
+    { area: 1, landCover: landCoverFromCounts([0, 0, 0, 0, 1]) },
+    { area: 5, landCover: null }
+  ])
+
+  assert.equal(summary.classifiedArea, 4)
+  assert.equal(summary.classes.treeCanopy.area, 3)
+  assert.equal(summary.classes.treeCanopy.percentage, 75)
+  assert.equal(summary.classes.treeCanopy.vegetated, true)
+  assert.equal(summary.classes.builtUp.percentage, 25)
+  assert.equal(summary.classes.builtUp.label, 'Built-up')
+  assert.equal(summary.classes.water.percentage, 0)
+})
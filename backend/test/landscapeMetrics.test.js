@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as turf from '@turf/turf'
+import * as h3 from 'h3-js'
+import { analyzeFragmentation } from '../services/landscapeMetrics.js'
+
+const SIZE = 0.01
+const EDGE_METERS = SIZE * 111320
+
+// 3 × 3 grid of 1 km² cells on the equator; `green` lists [column, row] pairs
+function makeGrid(green) {
+  const cells = []
+  for (let column = 0; column < 3; column++) {
+    for (let row = 0; row < 3; row++) {
+      const bounds = [column * SIZE, row * SIZE, (column + 1) * SIZE, (row + 1) * SIZE]
+      const isGreen = green.some(([c, r]) => c === column && r === row)
+      cells.push({
+        column,
+        row,
+        bounds,
+        latitude: bounds[1] + SIZE / 2,
+        longitude: bounds[0] + SIZE / 2,
+        area: 1,
+        vegetationPercentage: isGreen ? 60 : 10
+      })
+    }
+  }
+  return cells
+}
+
+const near = (actual, expected, tolerance = 0.01) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≉ ${expected}`)
+
+test('cells sharing an edge form one patch; corner contact does not join patches', () => {
+  const cells = makeGrid([[0, 0], [1, 0], [2, 1], [0, 2]])
+  const metrics = analyzeFragmentation(cells, 25)
+
+  assert.equal(metrics.patchCount, 3)
+  assert.deepEqual(metrics.patches.map(p => p.cellCount), [2, 1, 1])
+  assert.equal(metrics.patchArea, 4)
+  assert.equal(metrics.meanPatchSize, 4 / 3)
+  near(metrics.largestPatchIndex, (2 / 9) * 100)
+
+  // Patch 1 is the largest and is labelled on its cells
+  const patchOf = (column, row) => cells.find(c => c.column === column && c.row === row).patchId
+  assert.equal(patchOf(0, 0), 1)
+  assert.equal(patchOf(1, 0), 1)
+  assert.notEqual(patchOf(2, 1), 1)
+  assert.notEqual(patchOf(2, 1), patchOf(0, 2))
+  assert.equal(patchOf(1, 1), undefined)
+})
+
+test('edge density counts each patch perimeter without the edges shared inside it', () => {
+  const metrics = analyzeFragmentation(makeGrid([[0, 0], [1, 0], [2, 1], [0, 2]]), 25)
+
+  near(metrics.patches[0].perimeter, 6 * EDGE_METERS, 1)
+  near(metrics.patches[1].perimeter, 4 * EDGE_METERS, 1)
+  // 14 outer edges over 9 km² (900 ha)
+  near(metrics.edgeDensity, (14 * EDGE_METERS) / 900)
+})
+
+test('connectivity is the share of patch pairs within 500 m of each other', () => {
+  const metrics = analyzeFragmentation(makeGrid([[0, 0], [1, 0], [2, 1], [0, 2]]), 25)
+
+  // Only the corner-touching pair is within reach; the others are a cell apart
+  near(metrics.connectivity.index, 100 / 3)
+  assert.equal(metrics.connectivity.distance, 500)
+})
+
+test('a landscape without green cells has no patches', () => {
+  const metrics = analyzeFragmentation(makeGrid([]), 25)
+
+  assert.equal(metrics.patchCount, 0)
+  assert.equal(metrics.meanPatchSize, null)
+  assert.equal(metrics.largestPatchIndex, null)
+  assert.equal(metrics.edgeDensity, 0)
+  assert.equal(metrics.connectivity.index, null)
+})
+
+test('hexagon cells are joined through H3 neighbours', () => {
+  const origin = h3.latLngToCell(51.5, -0.1, 9)
+  const [neighbour] = h3.gridRingUnsafe(origin, 1)
+  const [distant] = h3.gridRingUnsafe(origin, 3)
+  const cells = [origin, neighbour, distant].map(h3Index => {
+    const geometry = turf.polygon([h3.cellToBoundary(h3Index, true)]).geometry
+    const [latitude, longitude] = h3.cellToLatLng(h3Index)
+    return { h3Index, geometry, bounds: turf.bbox(geometry), latitude, longitude, area: h3.cellArea(h3Index, 'km2'), vegetationPercentage: 80 }
+  })
+  const metrics = analyzeFragmentation(cells, 25)
+
+  assert.equal(metrics.patchCount, 2)
+  assert.equal(cells[0].patchId, cells[1].patchId)
+  assert.notEqual(cells[0].patchId, cells[2].patchId)
+
+  const perimeter = (cell) => turf.length(turf.polygonToLine(cell.geometry), { units: 'meters' })
+  const shared = h3.edgeLength(h3.cellsToDirectedEdge(origin, neighbour), 'm')
+  near(metrics.patches[0].perimeter, perimeter(cells[0]) + perimeter(cells[1]) - 2 * shared, 1)
+})
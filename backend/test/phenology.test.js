@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildPhenologyPeriods, calculatePhenologyMetrics } from '../services/phenology.js'
+
+const monthlyPeriods = buildPhenologyPeriods('monthly', 2023, new Date(Date.UTC(2024, 5, 1)))
+
+test('monthly periods cover a past analysis year from January to December', () => {
+  assert.equal(monthlyPeriods.length, 12)
+  assert.deepEqual(monthlyPeriods[0], { label: 'Jan', month: 1, months: 1, from: '2023-01-01', to: '2023-01-31' })
+  assert.deepEqual(monthlyPeriods[11], { label: 'Dec', month: 12, months: 1, from: '2023-12-01', to: '2023-12-31' })
+})
+
+test('periods for the current year end with the last complete month', () => {
+  const periods = buildPhenologyPeriods('monthly', 2024, new Date(Date.UTC(2024, 2, 15)))
+  assert.equal(periods[0].from, '2023-03-01')
+  assert.equal(periods[11].label, 'Feb')
+  assert.equal(periods[11].to, '2024-02-29')
+})
+
+test('seasonal periods start with the winter reaching back into the previous year', () => {
+  const periods = buildPhenologyPeriods('seasonal', 2023, new Date(Date.UTC(2024, 5, 1)))
+  assert.deepEqual(periods.map(p => p.label), ['Dec–Feb', 'Mar–May', 'Jun–Aug', 'Sep–Nov'])
+  assert.deepEqual(periods[0], { label: 'Dec–Feb', month: 1, months: 3, from: '2022-12-01', to: '2023-02-28' })
+  assert.equal(periods[3].to, '2023-11-30')
+  assert.equal(periods[2].month, 7)
+})
+
+test('a seasonal lawn peaks in summer with a growing season scaled over missing months', () => {
+  const values = [0.1, 0.1, 0.2, 0.4, 0.6, 0.8, 0.8, 0.7, 0.5, 0.3, null, 0.1]
+  const metrics = calculatePhenologyMetrics(values, monthlyPeriods)
+
+  assert.equal(metrics.peakMonth, 6)
+  assert.equal(metrics.peakNdvi, 0.8)
+  assert.equal(metrics.minNdvi, 0.1)
+  assert.ok(Math.abs(metrics.amplitude - 0.7) < 1e-9)
+  // May to September clear the midpoint: 5 of 11 observed months, scaled to 12
+  assert.equal(metrics.growingSeasonMonths, 5.5)
+  assert.equal(metrics.periodsWithData, 11)
+})
+
+test('evergreen canopy grows all year and bare ground never does', () => {
+  const evergreen = calculatePhenologyMetrics(new Array(12).fill(0.7), monthlyPeriods)
+  assert.equal(evergreen.amplitude, 0)
+  assert.equal(evergreen.growingSeasonMonths, 12)
+
+  const bare = calculatePhenologyMetrics(new Array(12).fill(0.1), monthlyPeriods)
+  assert.equal(bare.growingSeasonMonths, 0)
+})
+
+test('fewer than two observed periods give no metrics', () => {
+  const values = new Array(12).fill(null)
+  values[5] = 0.6
+  assert.equal(calculatePhenologyMetrics(values, monthlyPeriods), null)
+})
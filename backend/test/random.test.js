@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSeededRandom, generateSeed, hashToUnit, hashValues } from '../services/random.js'
+
+const draw = (random, count) => Array.from({ length: count }, random)
+
+test('the same seed and keys give the same sequence', () => {
+  const a = draw(createSeededRandom(42, 'cell', 1.5, 2.5), 10)
+  const b = draw(createSeededRandom(42, 'cell', 1.5, 2.5), 10)
+  assert.deepEqual(a, b)
+})
+
+test('a different seed or key gives a different sequence', () => {
+  const base = draw(createSeededRandom(42, 'cell', 2020), 5)
+  assert.notDeepEqual(draw(createSeededRandom(43, 'cell', 2020), 5), base)
+  assert.notDeepEqual(draw(createSeededRandom(42, 'cell', 2021), 5), base)
+})
+
+test('draws fall in [0, 1) and spread over the range', () => {
+  const values = draw(createSeededRandom(7), 1000)
+  assert.ok(values.every(value => value >= 0 && value < 1))
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length
+  assert.ok(Math.abs(mean - 0.5) < 0.05)
+  assert.ok(values.some(value => value < 0.1) && values.some(value => value > 0.9))
+})
+
+test('coordinate noise below five decimals does not change the hash', () => {
+  assert.equal(hashValues(42, 51.500001, -0.1), hashValues(42, 51.500002, -0.1))
+  assert.notEqual(hashValues(42, 51.50001, -0.1), hashValues(42, 51.50002, -0.1))
+  assert.equal(hashToUnit(1, 'x'), hashValues(1, 'x') / 4294967296)
+  assert.ok(hashToUnit(1, 'x') >= 0 && hashToUnit(1, 'x') < 1)
+})
+
+test('generateSeed returns an unsigned 32-bit integer', () => {
+  for (let i = 0; i < 20; i++) {
+    const seed = generateSeed()
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 4294967296)
+  }
+})
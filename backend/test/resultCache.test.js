@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCache, hashKey } from '../services/resultCache.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+test('returns undefined on a miss and cached nulls on a hit', () => {
+  const cache = createCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 10 })
+  assert.equal(cache.get('missing'), undefined)
+  cache.set('empty', null)
+  assert.equal(cache.get('empty'), null)
+  assert.deepEqual(cache.stats(), { name: 'test', entries: 1, maxEntries: 10, bytes: 4, maxBytes: Infinity, ttlHours: 1, hits: 1, misses: 1 })
+})
+
+test('every hit is a copy that callers cannot change', () => {
+  const cache = createCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 10 })
+  const value = { analysis: { score: 50 }, cells: [1, 2] }
+  cache.set('key', value)
+  value.analysis.score = 0
+
+  const first = cache.get('key')
+  first.cells.push(3)
+  assert.deepEqual(cache.get('key'), { analysis: { score: 50 }, cells: [1, 2] })
+  assert.notEqual(cache.get('key'), cache.get('key'))
+})
+
+test('evicts the least recently used entry beyond maxEntries', () => {
+  const cache = createCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 2 })
+  cache.set('a', 1)
+  cache.set('b', 2)
+  cache.get('a')
+  cache.set('c', 3)
+
+  assert.equal(cache.get('b'), undefined)
+  assert.equal(cache.get('a'), 1)
+  assert.equal(cache.get('c'), 3)
+})
+
+test('evicts by approximate JSON size and skips values larger than the cache', () => {
+  const cache = createCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 100, maxBytes: 25 })
+  cache.set('a', 'x'.repeat(8)) // 10 bytes of JSON
+  cache.set('b', 'y'.repeat(8))
+  cache.set('c', 'z'.repeat(8))
+
+  assert.equal(cache.get('a'), undefined)
+  assert.equal(cache.stats().bytes, 20)
+
+  cache.set('huge', 'h'.repeat(100))
+  assert.equal(cache.get('huge'), undefined)
+  assert.equal(cache.stats().entries, 2)
+
+  // Replacing an entry does not count its old size twice
+  cache.set('b', 'y')
+  assert.equal(cache.stats().bytes, 13)
+})
+
+test('expires entries after the TTL', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] })
+  const cache = createCache({ name: 'test', ttlMs: HOUR_MS, maxEntries: 10 })
+  cache.set('key', 1)
+  t.mock.timers.tick(HOUR_MS)
+
+  assert.equal(cache.get('key'), undefined)
+  assert.equal(cache.stats().bytes, 0)
+})
+
+test('hashKey ignores object key order', () => {
+  assert.equal(hashKey({ a: 1, b: [1, { c: 2, d: 3 }] }), hashKey({ b: [1, { d: 3, c: 2 }], a: 1 }))
+  assert.notEqual(hashKey({ a: 1 }), hashKey({ a: 2 }))
+})
@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateScores, gradeScore, validateScoringModel, listScoringModels } from '../services/scoringModels.js'
+
+const score = (percentage, model = 'percentage') => calculateScores({ percentage, greenspaceArea: 0, gridResults: [] }, model).score
+
+test('the percentage model meets each band at its lower bound', () => {
+  assert.equal(score(0), 0)
+  assert.equal(score(8), 25)
+  assert.equal(score(15), 50)
+  assert.equal(score(25), 70)
+  assert.equal(score(40), 85)
+  assert.equal(score(33.3), 78.3)
+  // Capped at 100
+  assert.equal(score(90), 100)
+})
+
+test('grades by the bands in data/scoring/grades.json', () => {
+  assert.equal(gradeScore(85).grade, 'A+')
+  assert.equal(gradeScore(84.9).grade, 'A')
+  assert.equal(gradeScore(0).grade, 'D')
+  assert.equal(listScoringModels().grades.length, 6)
+})
+
+test('per-capita needs a population and scores 50 at the WHO minimum', () => {
+  assert.throws(() => validateScoringModel('per-capita'), /needs the city population/)
+  assert.throws(() => validateScoringModel('nope'), /Unknown scoring model: nope/)
+
+  // 9 km² of green space for a million residents is 9 m² each
+  const result = calculateScores({ percentage: 20, greenspaceArea: 9, gridResults: [], population: 1000000 }, 'per-capita')
+  assert.equal(result.model, 'per-capita')
+  assert.equal(result.score, 50)
+  assert.equal(result.components[0].meetsTarget, true)
+  assert.deepEqual(Object.keys(result.results).sort(), ['3-30-300', 'per-capita', 'percentage'])
+})
+
+test('without a population the per-capita result is left out', () => {
+  const { results } = calculateScores({ percentage: 20, greenspaceArea: 9, gridResults: [] }, 'percentage')
+  assert.equal(results['per-capita'], undefined)
+})
+
+test('3-30-300 averages canopy share and the area within reach of green cells', () => {
+  const gridResults = [
+    { area: 1, landCover: { treeCanopy: 0.4 }, greenAccess: { 300: 1 } },
+    { area: 1, landCover: { treeCanopy: 0.1 }, greenAccess: { 300: 0.5 } },
+    { area: 2, landCover: { treeCanopy: 0.2 } },
+    // Unmeasured cells have no land cover and are left out
+    { area: 4, landCover: null, greenAccess: { 300: 1 } }
+  ]
+  const result = calculateScores({ percentage: 20, greenspaceArea: 1, gridResults }, '3-30-300')
+
+  const components = Object.fromEntries(result.components.map(component => [component.key, component.value]))
+  assert.equal(components.canopy, 25)
+  assert.equal(components.parkAccess, 37.5)
+  assert.equal(components.trees, null)
+  assert.equal(result.score, 31.3)
+})
@@ -0,0 +1,95 @@
+import { test, before, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { createTokenManager, hasSentinelCredentials, withSentinelToken } from '../services/sentinelAuth.js'
+
+// Local token endpoint: tok1, tok2, ... with the configured lifetime
+let server
+let tokenUrl
+let issued = 0
+let expiresIn = 3600
+let lastBody = null
+
+before(async () => {
+  // Keep the token log lines out of the test runner's output
+  mock.method(console, 'log', () => {})
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      lastBody = new URLSearchParams(body)
+      issued++
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({ access_token: `tok${issued}`, expires_in: expiresIn }))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  tokenUrl = `http://127.0.0.1:${server.address().port}/token`
+  process.env.SENTINEL_TOKEN_URL = tokenUrl
+  process.env.VITE_SENTINEL_CLIENT_ID = 'client'
+  process.env.VITE_SENTINEL_CLIENT_SECRET = 'secret'
+})
+
+after(() => server.close())
+
+const reset = () => {
+  issued = 0
+  expiresIn = 3600
+}
+
+test('requests a client-credentials token once and caches it', async () => {
+  reset()
+  const manager = createTokenManager({ tokenUrl, clientId: 'client', clientSecret: 'secret' })
+
+  const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()])
+  assert.deepEqual(tokens, ['tok1', 'tok1', 'tok1'])
+  assert.equal(await manager.getToken(), 'tok1')
+  assert.equal(issued, 1)
+  assert.equal(lastBody.get('grant_type'), 'client_credentials')
+  assert.equal(lastBody.get('client_id'), 'client')
+})
+
+test('requests a new token once the cached one is about to expire', async () => {
+  reset()
+  // Within the one-minute margin, so the token is already stale
+  expiresIn = 30
+  const manager = createTokenManager({ tokenUrl, clientId: 'client', clientSecret: 'secret' })
+
+  assert.equal(await manager.getToken(), 'tok1')
+  assert.equal(await manager.getToken(), 'tok2')
+})
+
+test('invalidate only drops the token that was rejected', async () => {
+  reset()
+  const manager = createTokenManager({ tokenUrl, clientId: 'client', clientSecret: 'secret' })
+  await manager.getToken()
+
+  manager.invalidate('someOtherToken')
+  assert.equal(await manager.getToken(), 'tok1')
+  manager.invalidate('tok1')
+  assert.equal(await manager.getToken(), 'tok2')
+})
+
+test('reports token request failures', async () => {
+  const manager = createTokenManager({ tokenUrl: 'http://127.0.0.1:1/token', clientId: 'client', clientSecret: 'secret' })
+  await assert.rejects(manager.getToken(), /Sentinel Hub token request failed/)
+})
+
+test('withSentinelToken refreshes the token and retries once on a 401', async () => {
+  reset()
+  assert.equal(hasSentinelCredentials(), true)
+  const seen = []
+  const unauthorized = Object.assign(new Error('401'), { response: { status: 401 } })
+
+  const result = await withSentinelToken(async (accessToken) => {
+    seen.push(accessToken)
+    if (seen.length === 1) throw unauthorized
+    return 'ok'
+  })
+  assert.equal(result, 'ok')
+  assert.deepEqual(seen, ['tok1', 'tok2'])
+
+  // A second 401 is not retried again
+  await assert.rejects(withSentinelToken(async () => { throw unauthorized }), unauthorized)
+  assert.equal(issued, 3)
+})
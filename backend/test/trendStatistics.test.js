@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateTrend } from '../services/trendStatistics.js'
+
+const series = (values, startYear = 2020) => values.map((y, i) => ({ x: startYear + i, y }))
+
+test('needs at least three finite points', () => {
+  assert.equal(calculateTrend(series([1, 2])), null)
+  assert.equal(calculateTrend([{ x: 2020, y: 1 }, { x: 2021, y: NaN }, { x: 2022, y: null }]), null)
+})
+
+test('a steady five-year rise is a significant increasing trend', () => {
+  const trend = calculateTrend(series([10, 12, 14, 16, 18]))
+
+  assert.equal(trend.s, 10)
+  assert.equal(trend.tau, 1)
+  // Var(S) = 5 · 4 · 15 / 18, z = (S - 1) / √Var(S)
+  assert.ok(Math.abs(trend.z - 9 / Math.sqrt(50 / 3)) < 1e-9)
+  assert.ok(Math.abs(trend.pValue - 0.0275) < 0.001)
+  assert.equal(trend.significant, true)
+  assert.equal(trend.direction, 'increasing')
+  assert.equal(trend.senSlope, 2)
+  assert.deepEqual([trend.confidenceInterval.lower, trend.confidenceInterval.upper], [2, 2])
+})
+
+test('four points cannot reach significance', () => {
+  const trend = calculateTrend(series([18, 16, 14, 12]))
+
+  assert.equal(trend.s, -6)
+  assert.equal(trend.significant, false)
+  assert.equal(trend.direction, 'no significant trend')
+  assert.equal(trend.senSlope, -2)
+})
+
+test('Sen slope ignores an outlier and points are sorted by year', () => {
+  const points = series([10, 11, 90, 13, 14, 15]).reverse()
+  const trend = calculateTrend(points)
+
+  assert.equal(trend.n, 6)
+  assert.equal(trend.senSlope, 1)
+  assert.ok(trend.confidenceInterval.lower <= 1 && trend.confidenceInterval.upper >= 1)
+})
+
+test('a flat series has no trend', () => {
+  const trend = calculateTrend(series([5, 5, 5, 5]))
+
+  assert.equal(trend.s, 0)
+  assert.equal(trend.z, 0)
+  assert.ok(trend.pValue > 0.999)
+  assert.equal(trend.senSlope, 0)
+})
@@ -7,6 +7,13 @@ import ProgressAnalysis from './components/ProgressAnalysis'
 import ErrorBoundary from './components/ErrorBoundary'
 import { TreePine, Leaf, Globe } from 'lucide-react'
 
+// Put the finished analysis in the address bar so the page can be shared or reloaded
+const setAnalysisLink = (sessionId) => {
+  const url = new URL(window.location.href)
+  url.searchParams.set('analysis', sessionId)
+  window.history.replaceState(null, '', url)
+}
+
 function App() {
   const [selectedCity, setSelectedCity] = useState(null)
   const [analysisData, setAnalysisData] = useState(null)
@@ -16,6 +23,7 @@ function App() {
   const [eventSource, setEventSource] = useState(null)
   const [yearRange, setYearRange] = useState(null)
   const [analysisLogs, setAnalysisLogs] = useState([])
+  const [sessionId, setSessionId] = useState(null)
 
   const handleCitySelect = async (cityData) => {
     // Handle both old format (direct city) and new format ({ city, yearRange })
@@ -25,6 +33,9 @@ function App() {
       endYear: new Date().getFullYear()
     }
     
+    // Optional analysis settings from Advanced Options (seed, grid type, ...)
+    const { refresh, ...analysisOptions } = cityData?.options || {}
+    
     setSelectedCity(city)
     setYearRange(selectedYearRange)
     setLoading(true)
@@ -42,13 +53,15 @@ function App() {
       console.log('🔄 Starting simplified pipeline analysis for:', city, 'with year range:', selectedYearRange)
       
       // Start the analysis and get session ID
-      const response = await axios.post('/api/analyze-greenspace', {
+      const response = await axios.post(`/api/analyze-greenspace${refresh ? '?refresh=true' : ''}`, {
         city: city,
-        yearRange: selectedYearRange
+        yearRange: selectedYearRange,
+        ...analysisOptions
       })
       
       const { sessionId } = response.data
       console.log('🔄 Simplified pipeline started with session ID:', sessionId)
+      setSessionId(sessionId)
 
       // Connect to SSE for real-time progress updates
       const source = new EventSource(`/api/analysis-progress/${sessionId}`)
@@ -70,6 +83,18 @@ function App() {
         } else if (data.type === 'analysis-completed') {
           console.log('🔄 Simplified pipeline analysis completed!')
           setAnalysisData(data.data)
+          setAnalysisLink(sessionId)
+          setLoading(false)
+          source.close()
+          setEventSource(null)
+          // Clear cleanup interval
+          if (consoleCleanupInterval) {
+            clearInterval(consoleCleanupInterval)
+          }
+        } else if (data.type === 'analysis-cancelled') {
+          console.log('🔄 Simplified pipeline analysis cancelled')
+          setSelectedCity(null)
+          setProgressData(null)
           setLoading(false)
           source.close()
           setEventSource(null)
@@ -123,6 +148,36 @@ function App() {
     }
   }
 
+  // The server confirms over SSE with 'analysis-cancelled' once the job has stopped
+  // Rejects when the request fails, so the progress view can offer Cancel again
+  const handleCancel = async () => {
+    setError(null)
+    try {
+      await axios.post(`/api/analyses/${sessionId}/cancel`)
+    } catch (err) {
+      console.error('🔄 Failed to cancel analysis:', err)
+      setError(err.response?.data?.error || 'Failed to cancel the analysis')
+      throw err
+    }
+  }
+
+  // Stored analyses open from a shared ?analysis=<sessionId> link
+  useEffect(() => {
+    const sessionId = new URLSearchParams(window.location.search).get('analysis')
+    if (!sessionId) return
+
+    axios.get(`/api/analyses/${sessionId}`)
+      .then(({ data: analysis }) => {
+        if (analysis.status === 'completed') {
+          setSelectedCity(analysis.city)
+          setAnalysisData(analysis.result)
+        } else {
+          setError(analysis.error || `Analysis is ${analysis.status}`)
+        }
+      })
+      .catch(err => setError(err.response?.data?.error || 'Failed to load the stored analysis'))
+  }, [])
+
   // Clean up event source on unmount
   useEffect(() => {
     return () => {
@@ -171,6 +226,7 @@ function App() {
           <ProgressAnalysis 
             city={selectedCity?.city || selectedCity} 
             progressData={progressData}
+            onCancel={handleCancel}
           />
         )}
 
@@ -1,7 +1,68 @@
 import React from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
-import { Leaf, TreePine, TrendingUp, MapPin, Activity, Eye } from 'lucide-react'
-import GreenpaceMap from './GreenpaceMap'
+import { Leaf, TreePine, TrendingUp, MapPin, Activity, Eye, Sun, Download } from 'lucide-react'
+import GreenpaceMap, { LAND_COVER_STYLES } from './GreenpaceMap'
+import DistrictTable from './DistrictTable'
+
+// Trend exports: every cell and district with its Mann-Kendall / Sen's slope
+// result, as GeoJSON for GIS tools or as a CSV table
+const TREND_COLUMNS = ['type', 'id', 'name', 'senSlope', 'ciLower', 'ciUpper', 'pValue', 'tau', 'n', 'significant', 'direction']
+
+const trendProperties = (trend) => ({
+  senSlope: trend?.senSlope ?? null,
+  ciLower: trend?.confidenceInterval.lower ?? null,
+  ciUpper: trend?.confidenceInterval.upper ?? null,
+  pValue: trend?.pValue ?? null,
+  tau: trend?.tau ?? null,
+  n: trend?.n ?? null,
+  significant: trend?.significant ?? null,
+  direction: trend?.direction ?? null
+})
+
+const getTrendFeatures = (data) => {
+  const cells = (data.gridData || []).map((cell, index) => ({
+    type: 'Feature',
+    geometry: cell.geometry || {
+      type: 'Polygon',
+      coordinates: [[[cell.bounds[0], cell.bounds[1]], [cell.bounds[2], cell.bounds[1]], [cell.bounds[2], cell.bounds[3]], [cell.bounds[0], cell.bounds[3]], [cell.bounds[0], cell.bounds[1]]]]
+    },
+    properties: { type: 'cell', id: cell.h3Index || index + 1, name: null, ...trendProperties(cell.trend) }
+  }))
+  const districts = (data.districts || []).map(district => ({
+    type: 'Feature',
+    geometry: district.geometry,
+    properties: { type: 'district', id: district.id, name: district.name, ...trendProperties(district.trend) }
+  }))
+  return [...cells, ...districts]
+}
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const exportTrends = (data, cityName, format) => {
+  const features = getTrendFeatures(data)
+  const filename = `${cityName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-trends`
+
+  if (format === 'geojson') {
+    const collection = { type: 'FeatureCollection', cityTrend: data.historicalTrend || null, features }
+    downloadFile(`${filename}.geojson`, JSON.stringify(collection), 'application/geo+json')
+    return
+  }
+
+  const city = { type: 'city', id: null, name: cityName, ...trendProperties(data.historicalTrend) }
+  const rows = [city, ...features.map(feature => feature.properties)]
+    .map(row => TREND_COLUMNS.map(column => {
+      const value = row[column] ?? ''
+      return typeof value === 'string' && /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+    }).join(','))
+  downloadFile(`${filename}.csv`, [TREND_COLUMNS.join(','), ...rows].join('\n'), 'text/csv')
+}
 
 const AnalysisResults = ({ data, city }) => {
   if (!data) return null
@@ -9,25 +70,33 @@ const AnalysisResults = ({ data, city }) => {
   const cityName = data.cityInfo?.name || city?.city || 'Unknown City'
   const percentage = data.greenspacePercentage || 0
   const score = data.score || 0
-  
-  // City planning score interpretation
-  const getScoreInterpretation = (score) => {
-    if (score >= 85) return { grade: 'A+', label: 'Excellent', description: 'Outstanding vegetation coverage for urban planning' }
-    if (score >= 70) return { grade: 'A', label: 'Very Good', description: 'Strong green infrastructure foundation' }
-    if (score >= 55) return { grade: 'B+', label: 'Good', description: 'Adequate vegetation with room for improvement' }
-    if (score >= 40) return { grade: 'B', label: 'Fair', description: 'Moderate vegetation, planning opportunities exist' }
-    if (score >= 25) return { grade: 'C', label: 'Poor', description: 'Limited vegetation, significant planning needed' }
-    return { grade: 'D', label: 'Very Poor', description: 'Critical need for green space development' }
-  }
 
-  const scoreInfo = getScoreInterpretation(score)
+  // Grade and component breakdown come from the server's scoring models, so the
+  // grade bands match the backend exactly
+  const scoring = data.scoring
+  const scoreInfo = scoring?.grade || { grade: '–', label: 'Not scored', description: '', tone: 'poor' }
 
-  // Determine score color for city planning context
-  const getScoreColor = (score) => {
-    if (score >= 70) return 'text-green-600'
-    if (score >= 40) return 'text-yellow-600'
-    return 'text-red-600'
-  }
+  // Change across the analysed year range
+  const historicalData = data.historicalData || []
+  const firstYear = historicalData[0]
+  const lastYear = historicalData[historicalData.length - 1]
+  const historicalChange = historicalData.length > 1 ? lastYear.percentage - firstYear.percentage : null
+  // Mann-Kendall test and Sen's slope, from three years of data
+  const trend = data.historicalTrend
+  const formatSlope = (slope) => `${slope >= 0 ? '+' : ''}${slope.toFixed(2)}`
+
+  // Class totals from the per-cell land-cover fractions
+  const landCoverClasses = data.landCover?.classes || null
+  // Per-cell change between two years of the series, with the worst losses
+  const changeDetection = data.changeDetection
+
+  // Monthly/seasonal profile of the analysis year, when requested
+  const phenology = data.phenology
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+  // Score colour from the grade band's tone
+  const TONE_COLORS = { good: 'text-green-600', fair: 'text-yellow-600', poor: 'text-red-600' }
+  const getScoreColor = (grade) => TONE_COLORS[grade?.tone] || 'text-gray-600'
 
   // Purple theme for vegetation percentage
   const getVegetationColor = (percentage) => {
@@ -48,10 +117,16 @@ const AnalysisResults = ({ data, city }) => {
               <div>
                 <h2 className="text-2xl font-bold text-white">{cityName} Vegetation Analysis</h2>
                 <p className="text-purple-100">Simplified pipeline for city planning decisions</p>
+                {data.cityInfo?.customArea && (
+                  <p className="text-purple-100 text-xs mt-1">
+                    Uploaded {data.cityInfo.customArea.format} boundary ({data.cityInfo.customArea.sourceCrs})
+                    {data.cityInfo.customArea.repairs.length > 0 && ` • ${data.cityInfo.customArea.repairs.join(', ')}`}
+                  </p>
+                )}
               </div>
             </div>
             <div className="text-right">
-              <div className="text-purple-100 text-sm">Planning Score</div>
+              <div className="text-purple-100 text-sm">{scoring?.label || 'Planning Score'}</div>
               <div className={`text-3xl font-bold text-white`}>
                 {score.toFixed(0)}/100
               </div>
@@ -77,6 +152,11 @@ const AnalysisResults = ({ data, city }) => {
                   <div className="text-xs text-gray-500">
                     {data.greenspaceArea?.toFixed(2)} km² of {data.totalArea?.toFixed(2)} km²
                   </div>
+                  {data.accessibility && (
+                    <div className="text-xs text-gray-500" title="Approximation: distance to green grid cells (at or above the green patch threshold), not to individual parks">
+                      ≈{data.accessibility.withinDistance[300].percentage.toFixed(0)}% of area within 300 m of green cells, ≈{data.accessibility.withinDistance[500].percentage.toFixed(0)}% within 500 m
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -85,11 +165,11 @@ const AnalysisResults = ({ data, city }) => {
             <div className="bg-gray-50 rounded-lg p-4">
               <div className="flex items-center space-x-3">
                 <div className="w-12 h-12 bg-gray-100 rounded-full flex items-center justify-center">
-                  <Activity className={`h-6 w-6 ${getScoreColor(score)}`} />
+                  <Activity className={`h-6 w-6 ${getScoreColor(scoreInfo)}`} />
                 </div>
                 <div>
                   <div className="text-sm text-gray-600">Planning Assessment</div>
-                  <div className={`text-lg font-bold ${getScoreColor(score)}`}>
+                  <div className={`text-lg font-bold ${getScoreColor(scoreInfo)}`}>
                     {scoreInfo.label}
                   </div>
                   <div className="text-xs text-gray-500">
@@ -123,34 +203,288 @@ const AnalysisResults = ({ data, city }) => {
       {/* Purple Overlay Map */}
       <GreenpaceMap analysisData={data} city={city} />
 
-      {/* Historical Trends (Simplified) */}
-      {data.historicalData && data.historicalData.length > 0 && (
+      {/* District Breakdown from uploaded boundaries */}
+      {data.districts?.length > 0 && <DistrictTable districts={data.districts} />}
+
+      {/* Score Breakdown by Model */}
+      {scoring?.results && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-            <TrendingUp className="h-5 w-5 mr-2 text-purple-600" />
-            Historical Vegetation Trends (Simplified)
-          </h3>
-          
-          <div className="h-64">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={data.historicalData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis />
-                <Tooltip 
-                  formatter={(value) => [`${value.toFixed(1)}%`, 'Vegetation Coverage']}
-                  labelFormatter={(year) => `Year: ${year}`}
-                />
-                <Line 
-                  type="monotone" 
-                  dataKey="percentage" 
-                  stroke="#7c3aed" 
-                  strokeWidth={3}
-                  dot={{ fill: '#7c3aed', strokeWidth: 2, r: 4 }}
-                />
-              </LineChart>
-            </ResponsiveContainer>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Score Breakdown</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {Object.entries(scoring.results).map(([name, result]) => (
+              <div key={name} className={`rounded-lg border p-4 ${name === scoring.model ? 'border-purple-400 bg-purple-50' : 'border-gray-200'}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <div className="text-sm font-semibold text-gray-900">{result.label}</div>
+                  <div className={`text-sm font-bold ${getScoreColor(result.grade)}`}>
+                    {result.score.toFixed(0)}/100 • {result.grade.grade}
+                  </div>
+                </div>
+                <div className="space-y-1 text-xs text-gray-600">
+                  {result.components.map(component => (
+                    <div key={component.key} className="flex justify-between space-x-2">
+                      <span>{component.label}</span>
+                      <span className="font-medium text-right">
+                        {component.value === null
+                          ? component.note || 'Not assessed'
+                          : `${component.value.toLocaleString(undefined, { maximumFractionDigits: 1 })} ${component.unit}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          {!scoring.results['per-capita'] && (
+            <p className="text-xs text-gray-500 mt-3">Enter the city population in Advanced Options to score green space per capita.</p>
+          )}
+        </div>
+      )}
+
+      {/* Land Cover Breakdown */}
+      {landCoverClasses && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Land Cover Classes</h3>
+            <div className="text-sm text-gray-600">
+              Tree canopy: <span className="font-semibold text-green-800">{landCoverClasses.treeCanopy.percentage.toFixed(1)}%</span>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {Object.entries(LAND_COVER_STYLES).map(([key, { color }]) => {
+              const landCoverClass = landCoverClasses[key]
+              if (!landCoverClass) return null
+              return (
+                <div key={key} className="flex items-center space-x-3 text-sm">
+                  <div className="w-28 text-gray-700">{landCoverClass.label}</div>
+                  <div className="flex-1 h-3 bg-gray-100 rounded">
+                    <div className="h-3 rounded" style={{ width: `${Math.min(100, landCoverClass.percentage)}%`, backgroundColor: color }}></div>
+                  </div>
+                  <div className="w-32 text-right text-gray-600">
+                    {landCoverClass.percentage.toFixed(1)}% • {landCoverClass.area.toFixed(2)} km²
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+          {landCoverClasses.cropland.percentage === 0 && !phenology && (
+            <p className="text-xs text-gray-500 mt-3">Cropland is separated from grass only when a seasonal profile is run.</p>
+          )}
+        </div>
+      )}
+
+      {/* Change Detection & Loss Hotspots */}
+      {changeDetection && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              Vegetation Change {changeDetection.fromYear}–{changeDetection.toYear}
+            </h3>
+            {changeDetection.summary.meanVegetationDelta !== null && (
+              <div className="text-sm text-gray-600">
+                Net: <span className={`font-semibold ${changeDetection.summary.vegetationAreaChange < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {changeDetection.summary.vegetationAreaChange >= 0 ? '+' : ''}{changeDetection.summary.vegetationAreaChange.toFixed(2)} km²
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+            <div>
+              <div className="text-gray-600">Significant gain</div>
+              <div className="font-semibold text-green-700">{changeDetection.summary.gain.cells} cells • {changeDetection.summary.gain.area.toFixed(2)} km²</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Significant loss</div>
+              <div className="font-semibold text-red-700">{changeDetection.summary.loss.cells} cells • {changeDetection.summary.loss.area.toFixed(2)} km²</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Stable (±{changeDetection.minChange} pts)</div>
+              <div className="font-semibold text-gray-700">{changeDetection.summary.stable.cells} cells • {changeDetection.summary.stable.area.toFixed(2)} km²</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Not measured</div>
+              <div className="font-semibold text-gray-500">{changeDetection.summary.unmeasured.cells} cells</div>
+            </div>
           </div>
+          {changeDetection.hotspots.length > 0 ? (
+            <div className="overflow-x-auto">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Top Loss Hotspots</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-1 pr-4">#</th>
+                    <th className="py-1 pr-4">Location</th>
+                    <th className="py-1 pr-4">Vegetation</th>
+                    <th className="py-1 pr-4">NDVI change</th>
+                    <th className="py-1">Vegetated area lost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {changeDetection.hotspots.map(hotspot => (
+                    <tr key={hotspot.rank} className="border-b border-gray-100">
+                      <td className="py-1 pr-4">{hotspot.rank}</td>
+                      <td className="py-1 pr-4 font-mono text-xs">{hotspot.latitude.toFixed(4)}, {hotspot.longitude.toFixed(4)}</td>
+                      <td className="py-1 pr-4">{hotspot.fromPercentage.toFixed(1)}% → {hotspot.toPercentage.toFixed(1)}%</td>
+                      <td className="py-1 pr-4 text-red-600">{hotspot.ndviDelta.toFixed(3)}</td>
+                      <td className="py-1">{hotspot.areaLost.toFixed(3)} km²</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No cell lost {changeDetection.minChange} or more percentage points of vegetation.</p>
+          )}
+        </div>
+      )}
+
+      {/* Historical Trends & Seasonal Profile */}
+      {(historicalData.length > 0 || phenology) && (
+        <div className={`grid grid-cols-1 ${historicalData.length > 0 && phenology ? 'lg:grid-cols-2' : ''} gap-6`}>
+          {historicalData.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <TrendingUp className="h-5 w-5 mr-2 text-purple-600" />
+                  Historical Vegetation Trends ({firstYear.year}–{lastYear.year})
+                </h3>
+                {historicalChange !== null && (
+                  <div className="text-sm text-gray-600">
+                    Change since {firstYear.year}:{' '}
+                    <span className={`font-semibold ${historicalChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {historicalChange >= 0 ? '+' : ''}{historicalChange.toFixed(1)} percentage points
+                    </span>
+                  </div>
+                )}
+              </div>
+          
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={historicalData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis unit="%" />
+                    <Tooltip 
+                      formatter={(value) => [`${value.toFixed(1)}%`, 'Vegetation Coverage']}
+                      labelFormatter={(year) => `Year: ${year}`}
+                    />
+                    <Line 
+                      type="monotone" 
+                      dataKey="percentage" 
+                      stroke="#7c3aed" 
+                      strokeWidth={3}
+                      dot={{ fill: '#7c3aed', strokeWidth: 2, r: 4 }}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              {trend ? (
+                <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <div className="text-gray-600">Sen's slope</div>
+                    <div className="font-semibold">{formatSlope(trend.senSlope)} pts/year</div>
+                    <div className="text-xs text-gray-500">
+                      {Math.round(trend.confidenceInterval.level * 100)}% CI {formatSlope(trend.confidenceInterval.lower)} to {formatSlope(trend.confidenceInterval.upper)}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Mann-Kendall</div>
+                    <div className="font-semibold">p = {trend.pValue < 0.001 ? '< 0.001' : trend.pValue.toFixed(3)}</div>
+                    <div className="text-xs text-gray-500">τ = {trend.tau.toFixed(2)}, n = {trend.n} years</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Trend</div>
+                    <div className={`font-semibold ${trend.direction === 'increasing' ? 'text-green-600' : trend.direction === 'decreasing' ? 'text-red-600' : 'text-gray-700'}`}>
+                      {trend.significant ? `Significant ${trend.direction}` : 'No significant trend'}
+                    </div>
+                    <div className="text-xs text-gray-500">at the {Math.round(trend.confidenceInterval.level * 100)}% level</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Cells with a significant trend</div>
+                    <div className="font-semibold">
+                      <span className="text-green-600">{trend.cells.increasing} up</span> • <span className="text-red-600">{trend.cells.decreasing} down</span>
+                    </div>
+                    <div className="text-xs text-gray-500">{trend.cells.insufficientData} cells lack three measured years</div>
+                  </div>
+                </div>
+              ) : historicalData.length > 1 && (
+                <p className="mt-3 text-xs text-gray-500">At least three years are needed for a trend test.</p>
+              )}
+
+              {trend && (
+                <div className="mt-4 flex items-center gap-2 text-xs">
+                  <Download className="h-4 w-4 text-gray-500" />
+                  <span className="text-gray-600">Export city, cell and district trends:</span>
+                  {[['geojson', 'GeoJSON'], ['csv', 'CSV']].map(([format, label]) => (
+                    <button
+                      key={format}
+                      onClick={() => exportTrends(data, cityName, format)}
+                      className="px-2 py-1 bg-purple-100 text-purple-700 rounded hover:bg-purple-200 transition-colors"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Seasonal Profile */}
+          {phenology && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <Sun className="h-5 w-5 mr-2 text-green-600" />
+                  Seasonal Vegetation Profile ({phenology.year})
+                </h3>
+                {phenology.summary.peakMonth && (
+                  <div className="text-sm text-gray-600">
+                    Peak: <span className="font-semibold text-green-600">{monthNames[phenology.summary.peakMonth - 1]}</span>
+                  </div>
+                )}
+              </div>
+
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={phenology.curve}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis domain={[0, 1]} />
+                    <Tooltip 
+                      formatter={(value) => [value === null ? 'No clear imagery' : value.toFixed(3), 'Mean NDVI']}
+                      labelFormatter={(label, payload) => payload?.[0] ? `${payload[0].payload.from} to ${payload[0].payload.to}` : label}
+                    />
+                    <Line 
+                      type="monotone" 
+                      dataKey="ndvi" 
+                      stroke="#059669" 
+                      strokeWidth={3}
+                      connectNulls
+                      dot={{ fill: '#059669', strokeWidth: 2, r: 4 }}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4 mt-4 text-center text-sm">
+                <div>
+                  <div className="text-gray-600">Amplitude</div>
+                  <div className="font-semibold">{phenology.summary.amplitude?.toFixed(2) ?? '–'}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600">Avg. Cell Amplitude</div>
+                  <div className="font-semibold">{phenology.summary.meanCellAmplitude?.toFixed(2) ?? '–'}</div>
+                </div>
+                <div>
+                  <div className="text-gray-600">Growing Season</div>
+                  <div className="font-semibold">{phenology.summary.meanGrowingSeasonMonths?.toFixed(1) ?? '–'} months</div>
+                </div>
+              </div>
+              <div className="mt-2 text-xs text-gray-500">
+                Low amplitude with a long season indicates evergreen canopy; high amplitude indicates seasonal lawns and deciduous cover
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -182,6 +516,54 @@ const AnalysisResults = ({ data, city }) => {
                 <span className="text-gray-600">Pipeline:</span>
                 <span className="font-medium">{data.analysis?.pipeline || 'Step 1 + Step 6'}</span>
               </div>
+              {data.analysis?.classificationProfile && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Classification Profile:</span>
+                  <span className="font-medium" title={data.analysis.classificationProfile.description}>
+                    {data.analysis.classificationProfile.label || data.analysis.classificationProfile.name}
+                  </span>
+                </div>
+              )}
+              {data.analysis?.compositingWindow && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Compositing Window:</span>
+                  <span className="font-medium" title={`${data.analysis.compositingWindow.hemisphere} hemisphere, ${data.analysis.compositingWindow.climateZone || 'custom'} window`}>
+                    {data.analysis.compositingWindow.from} to {data.analysis.compositingWindow.to}
+                  </span>
+                </div>
+              )}
+              {data.analysis?.cellFailures?.total > (data.analysis.unmeasuredCells?.cells || 0) && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Estimated Cells:</span>
+                  <span className="font-medium text-amber-600" title={Object.entries(data.analysis.cellFailures.byReason).map(([reason, count]) => `${reason}: ${count}`).join(', ')}>
+                    {data.analysis.cellFailures.total - (data.analysis.unmeasuredCells?.cells || 0)} of {data.analysis.totalCells} (imagery unavailable)
+                  </span>
+                </div>
+              )}
+              {data.analysis?.unmeasuredCells?.cells > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Unmeasured Cells:</span>
+                  <span className="font-medium text-amber-600">
+                    {data.analysis.unmeasuredCells.cells} of {data.analysis.totalCells} (too cloudy, {data.analysis.unmeasuredCells.area.toFixed(1)} km² left out of coverage)
+                  </span>
+                </div>
+              )}
+              {data.analysis?.seed !== undefined && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Seed:</span>
+                  <span className="font-medium font-mono">{data.analysis.seed}</span>
+                </div>
+              )}
+              {data.analysis?.cache && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Cache:</span>
+                  <span className="font-medium">
+                    {data.analysis.cache.analysis === 'hit'
+                      ? 'Cached analysis'
+                      : `${data.analysis.cache.cells.hits} cell hits, ${data.analysis.cache.cells.misses} misses`}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Target User:</span>
                 <span className="font-medium text-purple-600">City Planners</span>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react'
 import axios from 'axios'
-import { Search, MapPin, Globe, Calendar, Settings } from 'lucide-react'
+import { Search, MapPin, Globe, Calendar, Settings, Hash, Hexagon, Sun, Leaf, SlidersHorizontal, TrendingDown, Award, Upload, RefreshCw } from 'lucide-react'
+
+// Same limits as the server: Sentinel-2 imagery starts in 2015, ranges span at most 10 years
+const FIRST_IMAGERY_YEAR = 2015
+const MAX_YEAR_SPAN = 10
 
 const CitySearch = ({ onCitySelect }) => {
   const [query, setQuery] = useState('')
@@ -9,9 +13,25 @@ const CitySearch = ({ onCitySelect }) => {
   const [cities, setCities] = useState([])
   const [showAdvanced, setShowAdvanced] = useState(false)
   const [yearRange, setYearRange] = useState({
-    startYear: 2020,
-    endYear: 2021
+    startYear: new Date().getFullYear() - 1,
+    endYear: new Date().getFullYear()
   })
+  const [seed, setSeed] = useState('')
+  const [gridType, setGridType] = useState('quadtree')
+  const [climateZone, setClimateZone] = useState('')
+  const [phenology, setPhenology] = useState('')
+  const [profiles, setProfiles] = useState([])
+  const [classificationProfile, setClassificationProfile] = useState('')
+  const [minChange, setMinChange] = useState('')
+  const [changeYears, setChangeYears] = useState({ fromYear: '', toYear: '' })
+  const [scoringModels, setScoringModels] = useState([])
+  const [scoringModel, setScoringModel] = useState('')
+  const [population, setPopulation] = useState('')
+  const [districts, setDistricts] = useState(null)
+  const [districtFileError, setDistrictFileError] = useState('')
+  const [customArea, setCustomArea] = useState(null)
+  const [customAreaError, setCustomAreaError] = useState('')
+  const [refresh, setRefresh] = useState(false)
 
   useEffect(() => {
     // Load cities data on component mount
@@ -26,6 +46,32 @@ const CitySearch = ({ onCitySelect }) => {
     loadCities()
   }, [])
 
+  useEffect(() => {
+    // Classification profiles are defined on the server
+    const loadProfiles = async () => {
+      try {
+        const response = await axios.get('/api/classification-profiles')
+        setProfiles(response.data)
+      } catch (error) {
+        console.error('Failed to load classification profiles:', error)
+      }
+    }
+    loadProfiles()
+  }, [])
+
+  useEffect(() => {
+    // Scoring models and their grade bands are defined on the server
+    const loadScoringModels = async () => {
+      try {
+        const response = await axios.get('/api/scoring-models')
+        setScoringModels(response.data.models)
+      } catch (error) {
+        console.error('Failed to load scoring models:', error)
+      }
+    }
+    loadScoringModels()
+  }, [])
+
   useEffect(() => {
     if (query.length >= 2) {
       // Filter cities from our list
@@ -53,33 +99,162 @@ const CitySearch = ({ onCitySelect }) => {
     setQuery(e.target.value)
   }
 
+  const getAnalysisOptions = () => {
+    const options = { gridType }
+
+    // Blank climate zone lets the server infer the growing season from latitude
+    if (climateZone) {
+      options.climateZone = climateZone
+    }
+
+    if (phenology) {
+      options.phenology = phenology
+    }
+
+    // Blank profile uses the server default
+    if (classificationProfile) {
+      options.classificationProfile = classificationProfile
+    }
+
+    // Blank model uses the server default; population enables the per-capita score
+    if (scoringModel) {
+      options.scoringModel = scoringModel
+    }
+    const populationValue = parseInt(population)
+    if (Number.isInteger(populationValue) && populationValue > 0) {
+      options.population = populationValue
+    }
+
+    if (districts) {
+      options.districts = districts.collection
+    }
+
+    // Blank change years and threshold use the first/last year and the server default
+    const changeDetection = {}
+    if (changeYears.fromYear) changeDetection.fromYear = parseInt(changeYears.fromYear)
+    if (changeYears.toYear) changeDetection.toYear = parseInt(changeYears.toYear)
+    if (minChange !== '' && Number.isFinite(Number(minChange))) {
+      changeDetection.minChange = Number(minChange)
+    }
+    if (Object.keys(changeDetection).length > 0) {
+      options.changeDetection = changeDetection
+    }
+
+    // Blank seed lets the server pick one; numeric input is sent as a number
+    const trimmedSeed = seed.trim()
+    if (trimmedSeed) {
+      const numericSeed = Number(trimmedSeed)
+      options.seed = Number.isFinite(numericSeed) ? numericSeed : trimmedSeed
+    }
+
+    if (refresh) {
+      options.refresh = true
+    }
+
+    return { yearRange, options }
+  }
+
+  // District or neighbourhood boundaries for a per-district breakdown
+  const handleDistrictFile = async (e) => {
+    const file = e.target.files[0]
+    setDistrictFileError('')
+    if (!file) {
+      setDistricts(null)
+      return
+    }
+
+    try {
+      const collection = JSON.parse(await file.text())
+      if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw new Error('File is not a GeoJSON FeatureCollection')
+      }
+      setDistricts({ name: file.name, count: collection.features.length, collection })
+    } catch (error) {
+      setDistricts(null)
+      setDistrictFileError(error.message)
+    }
+  }
+
+  // Custom area of interest: GeoJSON, KML or a zipped Shapefile (sent as base64)
+  const handleCustomAreaFile = async (e) => {
+    const file = e.target.files[0]
+    setCustomAreaError('')
+    if (!file) {
+      setCustomArea(null)
+      return
+    }
+
+    try {
+      const extension = file.name.split('.').pop().toLowerCase()
+      const name = file.name.replace(/\.[^.]+$/, '')
+      let boundary
+      if (extension === 'zip') {
+        boundary = { format: 'shapefile', data: toBase64(await file.arrayBuffer()), name }
+      } else if (extension === 'kml') {
+        boundary = { format: 'kml', data: await file.text(), name }
+      } else {
+        boundary = { format: 'geojson', data: JSON.parse(await file.text()), name }
+      }
+      setCustomArea({ name: file.name, boundary })
+    } catch (error) {
+      setCustomArea(null)
+      setCustomAreaError(error.message)
+    }
+  }
+
+  // Change years must lie in the analysed range, with fromYear before toYear
+  const fromYear = parseInt(changeYears.fromYear) || yearRange.startYear
+  const toYear = parseInt(changeYears.toYear) || yearRange.endYear
+  const changeYearsError = (changeYears.fromYear || changeYears.toYear) &&
+    (fromYear < yearRange.startYear || toYear > yearRange.endYear || fromYear >= toYear)
+    ? `Change years must satisfy ${yearRange.startYear} ≤ from < to ≤ ${yearRange.endYear}`
+    : ''
+  const analysedYears = Array.from({ length: yearRange.endYear - yearRange.startYear + 1 }, (_, i) => yearRange.startYear + i)
+
+  // Invalid change years keep Advanced Options open instead of starting the analysis
+  const canStartAnalysis = () => {
+    if (changeYearsError) {
+      setShowAdvanced(true)
+      return false
+    }
+    return true
+  }
+
+  const handleCustomAreaAnalyze = () => {
+    if (!canStartAnalysis()) return
+    const { yearRange, options } = getAnalysisOptions()
+    onCitySelect({ city: customArea.boundary.name, yearRange, options: { ...options, boundary: customArea.boundary } })
+  }
+
   const handleSuggestionClick = (city) => {
     setQuery(city.type === 'predefined' ? `${city.city}, ${city.country}` : city.city)
     setShowSuggestions(false)
-    onCitySelect({ city, yearRange })
+    if (!canStartAnalysis()) return
+    onCitySelect({ city, ...getAnalysisOptions() })
   }
 
   const handleSubmit = (e) => {
     e.preventDefault()
     if (query.trim()) {
       setShowSuggestions(false)
+      if (!canStartAnalysis()) return
       // If it's not a predefined city, pass as string for geocoding
-      onCitySelect({ city: query.trim(), yearRange })
+      onCitySelect({ city: query.trim(), ...getAnalysisOptions() })
     }
   }
 
   const handleYearChange = (field, value) => {
-    const numValue = parseInt(value)
+    const numValue = Math.min(Math.max(parseInt(value), FIRST_IMAGERY_YEAR), new Date().getFullYear())
     if (isNaN(numValue)) return
     
     setYearRange(prev => {
       const newRange = { ...prev, [field]: numValue }
       
-      // Ensure start year is not greater than end year
-      if (field === 'startYear' && numValue > prev.endYear) {
-        newRange.endYear = numValue
-      } else if (field === 'endYear' && numValue < prev.startYear) {
-        newRange.startYear = numValue
+      // Keep start <= end and the span within MAX_YEAR_SPAN by moving the other year
+      if (field === 'startYear') {
+        newRange.endYear = Math.min(Math.max(prev.endYear, numValue), numValue + MAX_YEAR_SPAN, new Date().getFullYear())
+      } else {
+        newRange.startYear = Math.max(Math.min(prev.startYear, numValue), numValue - MAX_YEAR_SPAN)
       }
       
       return newRange
@@ -186,7 +361,7 @@ const CitySearch = ({ onCitySelect }) => {
                  <label className="block text-xs text-gray-600 mb-1">Start Year</label>
                  <input
                    type="number"
-                   min="1990"
+                   min={FIRST_IMAGERY_YEAR}
                    max={new Date().getFullYear()}
                    value={yearRange.startYear}
                    onChange={(e) => handleYearChange('startYear', e.target.value)}
@@ -197,7 +372,7 @@ const CitySearch = ({ onCitySelect }) => {
                  <label className="block text-xs text-gray-600 mb-1">End Year</label>
                  <input
                    type="number"
-                   min="1990"
+                   min={FIRST_IMAGERY_YEAR}
                    max={new Date().getFullYear()}
                    value={yearRange.endYear}
                    onChange={(e) => handleYearChange('endYear', e.target.value)}
@@ -207,7 +382,8 @@ const CitySearch = ({ onCitySelect }) => {
              </div>
              
              <div className="mt-2 text-xs text-gray-500">
-               <span>Analysis will cover {Math.ceil((yearRange.endYear - yearRange.startYear) / 2) + 1} data points over {yearRange.endYear - yearRange.startYear} years</span>
+               <span>Analysis will cover {yearRange.endYear - yearRange.startYear + 1} yearly data points over {yearRange.endYear - yearRange.startYear} years</span>
+               <span className="block">Imagery starts in {FIRST_IMAGERY_YEAR}; a range can span at most {MAX_YEAR_SPAN} years</span>
              </div>
              
              {/* Preset buttons */}
@@ -219,17 +395,258 @@ const CitySearch = ({ onCitySelect }) => {
                  Last 5 years
                </button>
                <button
-                 onClick={() => setYearRange({ startYear: new Date().getFullYear() - 10, endYear: new Date().getFullYear() })}
+                 onClick={() => setYearRange({ startYear: Math.max(FIRST_IMAGERY_YEAR, new Date().getFullYear() - 10), endYear: new Date().getFullYear() })}
                  className="px-2 py-1 text-xs bg-green-100 text-green-700 rounded hover:bg-green-200 transition-colors"
                >
                  Last 10 years
                </button>
-               <button
-                 onClick={() => setYearRange({ startYear: new Date().getFullYear() - 20, endYear: new Date().getFullYear() })}
-                 className="px-2 py-1 text-xs bg-purple-100 text-purple-700 rounded hover:bg-purple-200 transition-colors"
+             </div>
+
+             {/* Analysis grid */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Hexagon className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Analysis Grid</span>
+               </div>
+               <select
+                 value={gridType}
+                 onChange={(e) => setGridType(e.target.value)}
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
                >
-                 Last 20 years
-               </button>
+                 <option value="quadtree">Adaptive square grid (quadtree)</option>
+                 <option value="hexagon">Equal-area hexagons (H3)</option>
+               </select>
+               <div className="mt-1 text-xs text-gray-500">
+                 Hexagons keep cell area constant at every latitude, so cells compare across cities
+               </div>
+             </div>
+
+             {/* Classification profile */}
+             {profiles.length > 0 && (
+               <div className="mt-4 pt-3 border-t border-gray-200">
+                 <div className="flex items-center space-x-2 mb-2">
+                   <SlidersHorizontal className="h-4 w-4 text-gray-600" />
+                   <span className="text-sm font-medium text-gray-700">Classification Profile</span>
+                 </div>
+                 <select
+                   value={classificationProfile}
+                   onChange={(e) => setClassificationProfile(e.target.value)}
+                   className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                 >
+                   <option value="">Default ({profiles.find(p => p.default)?.label || 'server default'})</option>
+                   {profiles.map(profile => (
+                     <option key={profile.name} value={profile.name}>{profile.label}</option>
+                   ))}
+                 </select>
+                 <div className="mt-1 text-xs text-gray-500">
+                   {profiles.find(p => p.name === classificationProfile)?.description || 'Index weights, normalisation ranges and vegetation thresholds'}
+                 </div>
+               </div>
+             )}
+
+             {/* Scoring model */}
+             {scoringModels.length > 0 && (
+               <div className="mt-4 pt-3 border-t border-gray-200">
+                 <div className="flex items-center space-x-2 mb-2">
+                   <Award className="h-4 w-4 text-gray-600" />
+                   <span className="text-sm font-medium text-gray-700">Scoring Model</span>
+                 </div>
+                 <select
+                   value={scoringModel}
+                   onChange={(e) => setScoringModel(e.target.value)}
+                   className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                 >
+                   <option value="">Default ({scoringModels.find(m => m.default)?.label || 'server default'})</option>
+                   {scoringModels.map(model => (
+                     <option key={model.name} value={model.name}>{model.label}</option>
+                   ))}
+                 </select>
+                 <div className="mt-1 text-xs text-gray-500">
+                   {scoringModels.find(m => m.name === scoringModel)?.description || 'How the planning score and grade are calculated'}
+                 </div>
+                 <input
+                   type="number"
+                   min="1"
+                   value={population}
+                   onChange={(e) => setPopulation(e.target.value)}
+                   placeholder={scoringModels.find(m => m.name === scoringModel)?.requiresPopulation ? 'Population (required)' : 'Population (optional, enables per-capita score)'}
+                   className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                 />
+               </div>
+             )}
+
+             {/* Growing season */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Sun className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Climate Zone</span>
+               </div>
+               <select
+                 value={climateZone}
+                 onChange={(e) => setClimateZone(e.target.value)}
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+               >
+                 <option value="">Auto (from latitude)</option>
+                 <option value="equatorial">Equatorial</option>
+                 <option value="tropical">Tropical wet-dry</option>
+                 <option value="arid">Arid</option>
+                 <option value="mediterranean">Mediterranean</option>
+                 <option value="subtropical">Humid subtropical</option>
+                 <option value="temperate">Temperate</option>
+                 <option value="boreal">Boreal</option>
+               </select>
+               <div className="mt-1 text-xs text-gray-500">
+                 Imagery is composited over the zone's peak growing season, shifted six months south of the equator
+               </div>
+             </div>
+
+             {/* Seasonal profile */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Leaf className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Seasonal Profile</span>
+               </div>
+               <select
+                 value={phenology}
+                 onChange={(e) => setPhenology(e.target.value)}
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+               >
+                 <option value="">Off (growing season only)</option>
+                 <option value="seasonal">Seasonal (4 composites)</option>
+                 <option value="monthly">Monthly (12 composites)</option>
+               </select>
+               <div className="mt-1 text-xs text-gray-500">
+                 Shows evergreen canopy versus seasonal lawns; each composite adds one imagery request per cell
+               </div>
+             </div>
+
+             {/* Custom area of interest upload */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Upload className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Custom Area</span>
+               </div>
+               <input
+                 type="file"
+                 accept=".geojson,.json,.kml,.zip,application/geo+json,application/json,application/vnd.google-earth.kml+xml,application/zip"
+                 onChange={handleCustomAreaFile}
+                 className="w-full text-sm text-gray-600 file:mr-3 file:px-3 file:py-1 file:rounded-md file:border-0 file:bg-green-50 file:text-green-700"
+               />
+               <div className="mt-1 text-xs text-gray-500">
+                 Analyze a site, park or neighbourhood instead of a city: GeoJSON, KML or a zipped Shapefile
+               </div>
+               {customAreaError && <div className="mt-1 text-xs text-red-600">{customAreaError}</div>}
+               {customArea && (
+                 <button
+                   type="button"
+                   onClick={handleCustomAreaAnalyze}
+                   className="mt-2 px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700"
+                 >
+                   Analyze {customArea.name}
+                 </button>
+               )}
+             </div>
+
+             {/* District boundaries upload */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Upload className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">District Boundaries</span>
+               </div>
+               <input
+                 type="file"
+                 accept=".geojson,.json,application/geo+json,application/json"
+                 onChange={handleDistrictFile}
+                 className="w-full text-sm text-gray-600 file:mr-3 file:px-3 file:py-1 file:rounded-md file:border-0 file:bg-green-50 file:text-green-700"
+               />
+               <div className="mt-1 text-xs text-gray-500">
+                 {districts
+                   ? `${districts.count} districts from ${districts.name}`
+                   : 'Optional GeoJSON FeatureCollection of wards or neighbourhoods (WGS84)'}
+               </div>
+               {districtFileError && <div className="mt-1 text-xs text-red-600">{districtFileError}</div>}
+             </div>
+
+             {/* Change detection years and threshold */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <TrendingDown className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Change Detection Years</span>
+               </div>
+               <div className="grid grid-cols-2 gap-4">
+                 {[['fromYear', 'From', 'First year'], ['toYear', 'To', 'Last year']].map(([field, label, blankLabel]) => (
+                   <div key={field}>
+                     <label className="block text-xs text-gray-600 mb-1">{label}</label>
+                     <select
+                       value={changeYears[field]}
+                       onChange={(e) => setChangeYears(prev => ({ ...prev, [field]: e.target.value }))}
+                       className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                     >
+                       <option value="">{blankLabel} ({field === 'fromYear' ? yearRange.startYear : yearRange.endYear})</option>
+                       {analysedYears.map(year => (
+                         <option key={year} value={year}>{year}</option>
+                       ))}
+                     </select>
+                   </div>
+                 ))}
+               </div>
+               {changeYearsError
+                 ? <div className="mt-1 text-xs text-red-600">{changeYearsError}</div>
+                 : <div className="mt-1 text-xs text-gray-500">
+                     {fromYear < toYear ? `Cells are compared between ${fromYear} and ${toYear}` : 'Analyse two or more years to detect change'}
+                   </div>}
+
+               <div className="flex items-center space-x-2 mt-3 mb-2">
+                 <TrendingDown className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Minimum Change (percentage points)</span>
+               </div>
+               <input
+                 type="number"
+                 min="0"
+                 max="100"
+                 value={minChange}
+                 onChange={(e) => setMinChange(e.target.value)}
+                 placeholder="Server default (10)"
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+               />
+               <div className="mt-1 text-xs text-gray-500">
+                 Cells changing less than this between the two change years are reported as stable
+               </div>
+             </div>
+
+             {/* Reproducible runs */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <div className="flex items-center space-x-2 mb-2">
+                 <Hash className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Random Seed</span>
+               </div>
+               <input
+                 type="text"
+                 value={seed}
+                 onChange={(e) => setSeed(e.target.value)}
+                 placeholder="Leave blank for a new seed"
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+               />
+               <div className="mt-1 text-xs text-gray-500">
+                 Reuse the seed shown in a previous result to reproduce it exactly. Without a seed, a cached result may be returned
+               </div>
+             </div>
+
+             {/* Cache bypass */}
+             <div className="mt-4 pt-3 border-t border-gray-200">
+               <label className="flex items-center space-x-2">
+                 <input
+                   type="checkbox"
+                   checked={refresh}
+                   onChange={(e) => setRefresh(e.target.checked)}
+                   className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                 />
+                 <RefreshCw className="h-4 w-4 text-gray-600" />
+                 <span className="text-sm font-medium text-gray-700">Refresh Cached Results</span>
+               </label>
+               <div className="mt-1 text-xs text-gray-500">
+                 Recompute the analysis and re-query imagery for every cell instead of using cached data
+               </div>
              </div>
            </div>
          )}
@@ -245,7 +662,7 @@ const CitySearch = ({ onCitySelect }) => {
                  key={city}
                  onClick={() => {
                    setQuery(city)
-                   onCitySelect({ city, yearRange })
+                   onCitySelect({ city, ...getAnalysisOptions() })
                  }}
                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-full hover:bg-gray-200 transition-colors"
                >
@@ -259,4 +676,14 @@ const CitySearch = ({ onCitySelect }) => {
   )
 }
 
+// btoa needs a binary string; build it in chunks to stay under the argument limit
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
 export default CitySearch 
\ No newline at end of file
@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+import { ArrowUpDown, ArrowUp, ArrowDown } from 'lucide-react'
+
+// Sortable per-district results from an uploaded district FeatureCollection
+const COLUMNS = [
+  { key: 'name', label: 'District', value: district => district.name.toLowerCase() },
+  { key: 'area', label: 'Area (km²)', value: district => district.area },
+  { key: 'percentage', label: 'Coverage', value: district => district.percentage },
+  { key: 'score', label: 'Score', value: district => district.score ?? -1 },
+  { key: 'trend', label: 'Trend (pts/year)', value: district => district.trend?.senSlope ?? -Infinity }
+]
+
+const DistrictTable = ({ districts }) => {
+  const [sortKey, setSortKey] = useState('percentage')
+  const [ascending, setAscending] = useState(false)
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setAscending(!ascending)
+    } else {
+      setSortKey(key)
+      setAscending(key === 'name')
+    }
+  }
+
+  const column = COLUMNS.find(c => c.key === sortKey)
+  const sorted = [...districts].sort((a, b) => {
+    const left = column.value(a)
+    const right = column.value(b)
+    if (left === right) return 0
+    return (left < right ? -1 : 1) * (ascending ? 1 : -1)
+  })
+
+  const SortIcon = ({ columnKey }) => {
+    if (columnKey !== sortKey) return <ArrowUpDown className="h-3 w-3 inline ml-1 text-gray-400" />
+    return ascending
+      ? <ArrowUp className="h-3 w-3 inline ml-1" />
+      : <ArrowDown className="h-3 w-3 inline ml-1" />
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">District Breakdown</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="py-2 pr-4">
+                  <button onClick={() => handleSort(key)} className="font-medium hover:text-gray-900">
+                    {label}
+                    <SortIcon columnKey={key} />
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(district => (
+              <tr key={district.id} className="border-b border-gray-100">
+                <td className="py-1 pr-4 text-gray-900">{district.name}</td>
+                <td className="py-1 pr-4">{district.area.toFixed(2)}</td>
+                <td className="py-1 pr-4">
+                  {district.invalid
+                    ? <span className="text-red-600" title={district.invalid}>Invalid geometry</span>
+                    : district.area > 0 ? `${district.percentage.toFixed(1)}%` : 'Outside city'}
+                </td>
+                <td className="py-1 pr-4">{district.grade ? `${district.score.toFixed(0)} (${district.grade.grade})` : '–'}</td>
+                <td className="py-1 pr-4">
+                  {district.trend ? (
+                    <span className={district.trend.significant ? (district.trend.direction === 'increasing' ? 'text-green-600 font-semibold' : 'text-red-600 font-semibold') : 'text-gray-600'}>
+                      {district.trend.senSlope >= 0 ? '+' : ''}{district.trend.senSlope.toFixed(2)}{district.trend.significant ? ' *' : ''}
+                    </span>
+                  ) : '–'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        * significant Mann-Kendall trend at the 95% level. Trends need at least three years in the analysis range.
+      </p>
+    </div>
+  )
+}
+
+export default DistrictTable
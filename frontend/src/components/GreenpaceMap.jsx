@@ -11,6 +11,85 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 })
 
+// Land-cover classes reported per cell by the backend, in legend order
+export const LAND_COVER_STYLES = {
+  treeCanopy: { label: 'Tree canopy', color: '#166534' },
+  grassShrub: { label: 'Grass / shrub', color: '#84cc16' },
+  cropland: { label: 'Cropland', color: '#eab308' },
+  bareSoil: { label: 'Bare soil', color: '#a16207' },
+  water: { label: 'Water', color: '#2563eb' },
+  builtUp: { label: 'Built-up', color: '#6b7280' }
+}
+
+// Diverging colours for the change layer: loss in red, gain in green
+const CHANGE_STYLES = {
+  loss: { label: 'Significant loss', color: '#b91c1c' },
+  stable: { label: 'Stable', color: '#e5e7eb' },
+  gain: { label: 'Significant gain', color: '#15803d' },
+  unmeasured: { label: 'Not measured (no imagery)', color: '#9ca3af' }
+}
+
+// Heat scale for the accessibility layer: distance to the nearest green patch (m)
+const ACCESS_BANDS = [
+  { max: 0, label: 'Green patch', color: '#15803d' },
+  { max: 300, label: '≤ 300 m', color: '#84cc16' },
+  { max: 500, label: '300–500 m', color: '#facc15' },
+  { max: 1000, label: '500 m–1 km', color: '#f97316' },
+  { max: Infinity, label: '> 1 km', color: '#b91c1c' }
+]
+
+// Categorical colours for green patches, cycled by patch ID
+const PATCH_COLORS = ['#15803d', '#0891b2', '#7c3aed', '#db2777', '#ea580c', '#4d7c0f', '#0369a1', '#a21caf']
+const MAX_PATCH_LABELS = 15
+
+// Sequential choropleth scale for district coverage (%)
+const DISTRICT_BANDS = [
+  { min: 40, label: '≥ 40%', color: '#14532d' },
+  { min: 25, label: '25–40%', color: '#15803d' },
+  { min: 15, label: '15–25%', color: '#4ade80' },
+  { min: 5, label: '5–15%', color: '#bbf7d0' },
+  { min: 0, label: '< 5%', color: '#f0fdf4' }
+]
+
+// Purple overlay shades (see getPurpleStyle); the legend starts at the profile's map threshold
+const DENSITY_BANDS = [
+  { min: 50, max: null, label: 'Dense', className: 'bg-purple-900 opacity-80' },
+  { min: 30, max: 49, label: 'Moderate', className: 'bg-purple-600 opacity-60' },
+  { min: 15, max: 29, label: 'Light', className: 'bg-purple-400 opacity-50' },
+  { min: 0, max: 14, label: 'Sparse', className: 'bg-purple-300 opacity-30' }
+]
+
+const MAP_LAYERS = {
+  vegetation: { label: 'Vegetation density', title: 'Vegetation Density Map for City Planners', activeClass: 'bg-purple-600 text-white' },
+  landCover: { label: 'Land cover', title: 'Land Cover Map for City Planners', activeClass: 'bg-green-700 text-white' },
+  change: { label: 'Change', title: 'Vegetation Change Map for City Planners', activeClass: 'bg-red-700 text-white' },
+  access: { label: 'Access', title: 'Distance to Green Space for City Planners', activeClass: 'bg-orange-600 text-white' },
+  patches: { label: 'Patches', title: 'Green Patches for City Planners', activeClass: 'bg-cyan-700 text-white' },
+  districts: { label: 'Districts', title: 'Vegetation Coverage by District', activeClass: 'bg-emerald-700 text-white' }
+}
+
+const getDominantClass = (landCover) => {
+  const [key, fraction] = Object.entries(landCover).sort((a, b) => b[1] - a[1])[0] || []
+  return key ? { key, fraction } : null
+}
+
+// Convert a GeoJSON Polygon/MultiPolygon geometry to Leaflet [lat, lng] positions
+const toLeafletPositions = (geometry) => {
+  if (!geometry?.coordinates) return null
+  const toRing = (ring) => ring.map(([lng, lat]) => [lat, lng])
+  if (geometry.type === 'Polygon') return geometry.coordinates.map(toRing)
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.map(polygon => polygon.map(toRing))
+  return null
+}
+
+// [west, south, east, north] of a Polygon/MultiPolygon geometry, islands included
+const getGeometryBounds = (geometry) => {
+  const points = geometry.type === 'MultiPolygon' ? geometry.coordinates.flat(2) : geometry.coordinates.flat()
+  const lngs = points.map(([lng]) => lng)
+  const lats = points.map(([, lat]) => lat)
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+}
+
 function FitBounds({ bounds }) {
   const map = useMap()
   useEffect(() => {
@@ -28,11 +107,16 @@ function FitBounds({ bounds }) {
 const GreenpaceMap = ({ analysisData, city }) => {
   const [mapBounds, setMapBounds] = useState(null)
   const [vegetationCells, setVegetationCells] = useState([])
+  const [landCoverCells, setLandCoverCells] = useState([])
+  const [changeCells, setChangeCells] = useState([])
+  const [accessCells, setAccessCells] = useState([])
+  const [patchCells, setPatchCells] = useState([])
+  const [mapLayer, setMapLayer] = useState('vegetation')
   const [cityBounds, setCityBounds] = useState(null)
   const [debugInfo, setDebugInfo] = useState({ total: 0, rendered: 0, filtered: 0 })
 
-  // Vegetation threshold for city planners - focus on meaningful vegetation
-  const vegetationThreshold = 25 // 25% minimum vegetation to display as requested by user
+  // Minimum vegetation to display, from the analysis's classification profile
+  const vegetationThreshold = analysisData?.analysis?.classificationProfile?.thresholds?.mapDisplay ?? 25
 
   useEffect(() => {
     console.log('🔄 SIMPLIFIED PIPELINE: Processing map data for city planners')
@@ -42,12 +126,15 @@ const GreenpaceMap = ({ analysisData, city }) => {
       console.log(`📍 City coordinates: ${latitude}, ${longitude}`)
       
       const buffer = 0.1
-      const bounds = [
-        longitude - buffer,
-        latitude - buffer,
-        longitude + buffer,
-        latitude + buffer
-      ]
+      const boundaryGeometry = analysisData.cityInfo?.boundaries?.geometry
+      const bounds = boundaryGeometry?.coordinates
+        ? getGeometryBounds(boundaryGeometry)
+        : [
+            longitude - buffer,
+            latitude - buffer,
+            longitude + buffer,
+            latitude + buffer
+          ]
       setMapBounds(bounds)
 
       // Set city boundaries for planning context
@@ -66,7 +153,7 @@ const GreenpaceMap = ({ analysisData, city }) => {
         let renderedCount = 0
         let filteredCount = 0
         
-        const processedCells = analysisData.gridData
+        const mappedCells = analysisData.gridData
           .map((cell, index) => {
             if (!cell.bounds || cell.vegetationPercentage === undefined) {
               filteredCount++
@@ -75,8 +162,9 @@ const GreenpaceMap = ({ analysisData, city }) => {
             
             processedCount++
             const [west, south, east, north] = cell.bounds
-            const vegPercentage = parseFloat(cell.vegetationPercentage) || 0
-            const ndvi = parseFloat(cell.ndvi) || 0
+            // Cloudy cells are unmeasured (null) and never get a purple overlay
+            const vegPercentage = cell.vegetationPercentage === null ? null : parseFloat(cell.vegetationPercentage) || 0
+            const ndvi = cell.ndvi === null ? null : parseFloat(cell.ndvi) || 0
             
             const rectangleBounds = [
               [south, west],
@@ -86,11 +174,37 @@ const GreenpaceMap = ({ analysisData, city }) => {
             return {
               id: index,
               bounds: rectangleBounds,
+              // Clipped edge shape when the backend provides one
+              positions: toLeafletPositions(cell.geometry),
+              clipFraction: cell.clipFraction,
+              depth: cell.depth,
+              sizeMeters: cell.sizeMeters,
+              h3Index: cell.h3Index,
+              clearSky: cell.clearSky,
+              phenology: cell.phenology,
+              landCover: cell.landCover,
+              dominantClass: cell.landCover ? getDominantClass(cell.landCover) : null,
+              change: cell.change,
+              trend: cell.trend,
+              distanceToGreen: cell.distanceToGreen,
+              patchId: cell.patchId,
+              failureReason: cell.failure?.reason,
               vegetationPercentage: vegPercentage,
               ndvi: ndvi,
               originalBounds: cell.bounds
             }
           })
+
+        // Every classified cell is shown on the land-cover layer
+        setLandCoverCells(mappedCells.filter(cell => cell?.dominantClass))
+        // and every cell compared between the two change-detection years on the change layer
+        setChangeCells(mappedCells.filter(cell => cell?.change))
+        // and every cell with a distance to green space on the accessibility layer
+        setAccessCells(mappedCells.filter(cell => cell && cell.distanceToGreen !== null && cell.distanceToGreen !== undefined))
+        // and the cells of each contiguous green patch on the patch layer
+        setPatchCells(mappedCells.filter(cell => cell?.patchId))
+
+        const processedCells = mappedCells
           .filter(cell => {
             if (cell === null) {
               return false
@@ -166,6 +280,71 @@ const GreenpaceMap = ({ analysisData, city }) => {
     }
   }
 
+  // Land-cover layer: dominant class colour, more opaque the more it dominates
+  const getLandCoverStyle = (dominantClass) => ({
+    fillColor: LAND_COVER_STYLES[dominantClass.key]?.color || '#9ca3af',
+    fillOpacity: 0.3 + dominantClass.fraction * 0.5,
+    color: '#374151',
+    weight: 0.5,
+    opacity: 0.6
+  })
+
+  // Change layer: diverging colour by class, stronger the larger the change
+  const getChangeStyle = (change) => ({
+    fillColor: CHANGE_STYLES[change.class].color,
+    fillOpacity: change.class === 'gain' || change.class === 'loss'
+      ? 0.4 + Math.min(1, Math.abs(change.vegetationDelta) / 50) * 0.45
+      : 0.25,
+    color: change.class === 'unmeasured' ? '#6b7280' : '#374151',
+    weight: 0.5,
+    opacity: 0.6,
+    dashArray: change.class === 'unmeasured' ? '3' : null
+  })
+
+  // Accessibility layer: heat colour by distance to the nearest green patch
+  const getAccessStyle = (distance) => ({
+    fillColor: ACCESS_BANDS.find(band => distance <= band.max).color,
+    fillOpacity: 0.55,
+    color: '#374151',
+    weight: 0.5,
+    opacity: 0.5
+  })
+
+  // Patch layer: one colour per contiguous green patch
+  const getPatchStyle = (patchId) => ({
+    fillColor: PATCH_COLORS[(patchId - 1) % PATCH_COLORS.length],
+    fillOpacity: 0.55,
+    color: PATCH_COLORS[(patchId - 1) % PATCH_COLORS.length],
+    weight: 1,
+    opacity: 0.9
+  })
+
+  // District layer: choropleth of the uploaded districts instead of cells
+  const districts = (analysisData?.districts || []).filter(district => district.area > 0)
+  const getDistrictStyle = (percentage) => ({
+    fillColor: DISTRICT_BANDS.find(band => percentage >= band.min).color,
+    fillOpacity: 0.65,
+    color: '#1f2937',
+    weight: 1.5,
+    opacity: 0.8
+  })
+
+  const layerCells = { vegetation: vegetationCells, landCover: landCoverCells, change: changeCells, access: accessCells, patches: patchCells, districts }
+  const accessibility = analysisData?.accessibility
+  const fragmentation = analysisData?.fragmentation
+  const patchesById = Object.fromEntries((fragmentation?.patches || []).map(patch => [patch.id, patch]))
+  const availableLayers = Object.keys(MAP_LAYERS).filter(layer => layer === 'vegetation' || layerCells[layer].length > 0)
+  const displayedCells = mapLayer === 'districts' ? [] : layerCells[mapLayer]
+  const changeDetection = analysisData?.changeDetection
+
+  const getCellStyle = (cell) => {
+    if (mapLayer === 'landCover') return getLandCoverStyle(cell.dominantClass)
+    if (mapLayer === 'change') return getChangeStyle(cell.change)
+    if (mapLayer === 'access') return getAccessStyle(cell.distanceToGreen)
+    if (mapLayer === 'patches') return getPatchStyle(cell.patchId)
+    return getPurpleStyle(parseFloat(cell.vegetationPercentage))
+  }
+
   if (!mapBounds || !analysisData?.cityInfo?.latitude || !analysisData?.cityInfo?.longitude) {
     return (
       <div className="bg-gray-100 rounded-lg p-8 text-center">
@@ -174,7 +353,7 @@ const GreenpaceMap = ({ analysisData, city }) => {
     )
   }
 
-  if (vegetationCells.length === 0) {
+  if (vegetationCells.length === 0 && landCoverCells.length === 0) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="p-4 bg-gradient-to-r from-purple-50 to-indigo-50 border-b border-gray-200">
@@ -190,15 +369,43 @@ const GreenpaceMap = ({ analysisData, city }) => {
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
       <div className="p-4 bg-gradient-to-r from-purple-50 to-indigo-50 border-b border-gray-200">
-        <h3 className="text-lg font-semibold text-gray-900 mb-2">Vegetation Density Map for City Planners</h3>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-gray-900">{MAP_LAYERS[mapLayer].title}</h3>
+          {availableLayers.length > 1 && (
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs">
+              {availableLayers.map(layer => (
+                <button
+                  key={layer}
+                  onClick={() => setMapLayer(layer)}
+                  className={`px-3 py-1 ${mapLayer === layer ? MAP_LAYERS[layer].activeClass : 'bg-white text-gray-700'}`}
+                >
+                  {MAP_LAYERS[layer].label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
         <p className="text-sm text-gray-600 mb-2">
-          Purple overlays show vegetation density. Darker purple = more vegetation, translucent = less vegetation.
+          {mapLayer === 'landCover' && 'Cells are coloured by their dominant land-cover class, so tree canopy can be tracked separately from grass and crops.'}
+          {mapLayer === 'change' && `Vegetation change from ${changeDetection.fromYear} to ${changeDetection.toYear}. Cells changing by at least ${changeDetection.minChange} percentage points count as significant gain or loss.`}
+          {mapLayer === 'access' && `Distance from each area to the nearest green patch (cells with at least ${accessibility.greenThreshold}% vegetation). Distances are measured between cells, so they are only as fine as the grid.`}
+          {mapLayer === 'patches' && `Contiguous green patches (cells with at least ${fragmentation.greenThreshold}% vegetation sharing an edge), labelled with their ID and area. Patch 1 is the largest.`}
+          {mapLayer === 'districts' && 'Vegetation coverage per uploaded district. Cells on a district border count towards each district by their shared area.'}
+          {mapLayer === 'vegetation' && 'Purple overlays show vegetation density. Darker purple = more vegetation, translucent = less vegetation.'}
         </p>
         <div className="text-xs text-gray-500">
-          Showing {vegetationCells.length} areas with ≥{vegetationThreshold}% vegetation coverage • {debugInfo.total} total cells analyzed
+          {mapLayer === 'landCover' && `Showing ${landCoverCells.length} classified areas`}
+          {mapLayer === 'change' && `Showing ${changeCells.length} compared areas`}
+          {mapLayer === 'access' && `Showing ${accessCells.length} areas, ${accessibility.greenPatches} green patches`}
+          {mapLayer === 'patches' && `Showing ${fragmentation.patchCount} patches over ${patchCells.length} cells`}
+          {mapLayer === 'districts' && `Showing ${districts.length} districts`}
+          {mapLayer === 'vegetation' && `Showing ${vegetationCells.length} areas with ≥${vegetationThreshold}% vegetation coverage`} • {debugInfo.total} total cells analyzed
+          {analysisData.analysis?.grid && (
+            <> • mixed-resolution mosaic, {analysisData.analysis.grid.minCellSizeMeters}m–{analysisData.analysis.grid.maxCellSizeMeters}m cells</>
+          )}
         </div>
                   <div className="text-xs text-purple-600 font-semibold mt-1">
-            Areas with &gt;25% vegetation are marked with purple overlays for city planning
+            Areas with ≥{vegetationThreshold}% vegetation are marked with purple overlays for city planning
           </div>
       </div>
       
@@ -216,15 +423,19 @@ const GreenpaceMap = ({ analysisData, city }) => {
           <FitBounds bounds={mapBounds} />
           
           {/* Purple vegetation overlays - darker for more vegetation, translucent for less */}
-          {vegetationCells.map((cell) => {
+          {displayedCells.map((cell) => {
+            // Cloudy cells are unmeasured and have no vegetation or NDVI value
+            const measured = cell.vegetationPercentage !== null && cell.vegetationPercentage !== undefined
             const vegPercentage = parseFloat(cell.vegetationPercentage)
             const ndvi = parseFloat(cell.ndvi)
-            const purpleStyle = getPurpleStyle(vegPercentage)
+            const purpleStyle = getCellStyle(cell)
+            const CellShape = cell.positions ? Polygon : Rectangle
+            const shapeProps = cell.positions ? { positions: cell.positions } : { bounds: cell.bounds }
 
             return (
-              <Rectangle
+              <CellShape
                 key={cell.id}
-                bounds={cell.bounds}
+                {...shapeProps}
                 pathOptions={purpleStyle}
               >
                 <Popup>
@@ -235,43 +446,120 @@ const GreenpaceMap = ({ analysisData, city }) => {
                       <div>
                         <span className="font-semibold">Vegetation:</span><br />
                         <span className="text-lg font-bold text-purple-600">
-                          {vegPercentage.toFixed(1)}%
+                          {measured ? `${vegPercentage.toFixed(1)}%` : '–'}
                         </span>
                       </div>
                       <div>
                         <span className="font-semibold">NDVI Score:</span><br />
                         <span className="text-lg font-bold text-green-600">
-                          {ndvi.toFixed(3)}
+                          {measured && Number.isFinite(ndvi) ? ndvi.toFixed(3) : '–'}
                         </span>
                       </div>
                     </div>
                     
                     <div className="text-xs text-gray-600 border-t pt-1">
-                      <div><strong>Planning Category:</strong> {
-                        vegPercentage >= 50 ? 'Dense Green Space' :
-                        vegPercentage >= 30 ? 'Moderate Green Space' :
-                        vegPercentage >= 15 ? 'Light Green Space' : 'Sparse Vegetation'
-                      }</div>
-                      <div><strong>Purple Intensity:</strong> {
-                        vegPercentage >= 50 ? 'Dark (High Density)' :
-                        vegPercentage >= 30 ? 'Medium (Moderate)' :
-                        vegPercentage >= 15 ? 'Light (Low Density)' : 'Translucent (Minimal)'
-                      }</div>
+                      {measured && (
+                        <>
+                          <div><strong>Planning Category:</strong> {
+                            vegPercentage >= 50 ? 'Dense Green Space' :
+                            vegPercentage >= 30 ? 'Moderate Green Space' :
+                            vegPercentage >= 15 ? 'Light Green Space' : 'Sparse Vegetation'
+                          }</div>
+                          <div><strong>Purple Intensity:</strong> {
+                            vegPercentage >= 50 ? 'Dark (High Density)' :
+                            vegPercentage >= 30 ? 'Medium (Moderate)' :
+                            vegPercentage >= 15 ? 'Light (Low Density)' : 'Translucent (Minimal)'
+                          }</div>
+                        </>
+                      )}
                       <div><strong>Coordinates:</strong> 
                         [{cell.originalBounds[1].toFixed(4)}, {cell.originalBounds[0].toFixed(4)}] to 
                         [{cell.originalBounds[3].toFixed(4)}, {cell.originalBounds[2].toFixed(4)}]
                       </div>
+                      {cell.h3Index ? (
+                        <div><strong>H3 Cell:</strong> {cell.h3Index} (~{cell.sizeMeters}m edge)</div>
+                      ) : cell.sizeMeters !== undefined && (
+                        <div><strong>Cell Size:</strong> ~{cell.sizeMeters}m (refinement depth {cell.depth})</div>
+                      )}
+                      {cell.clipFraction !== undefined && cell.clipFraction < 0.999 && (
+                        <div><strong>Inside City:</strong> {(cell.clipFraction * 100).toFixed(0)}% of cell (edge cell)</div>
+                      )}
+                      {cell.clearSky && (
+                        <div><strong>Clear Sky:</strong> {(cell.clearSky.validPixelFraction * 100).toFixed(0)}% of pixels, {cell.clearSky.clearObservationCount}/{cell.clearSky.observationCount} clear observations</div>
+                      )}
+                      {cell.change && (cell.change.vegetationDelta === null ? (
+                        <div><strong>Change {changeDetection.fromYear}–{changeDetection.toYear}:</strong> {CHANGE_STYLES[cell.change.class].label.toLowerCase()}</div>
+                      ) : (
+                        <div><strong>Change {changeDetection.fromYear}–{changeDetection.toYear}:</strong> {cell.change.vegetationDelta >= 0 ? '+' : ''}{cell.change.vegetationDelta.toFixed(1)} pts vegetation, NDVI {cell.change.ndviDelta >= 0 ? '+' : ''}{cell.change.ndviDelta.toFixed(3)} ({CHANGE_STYLES[cell.change.class].label.toLowerCase()})</div>
+                      ))}
+                      {cell.patchId && patchesById[cell.patchId] && (
+                        <div><strong>Green Patch:</strong> #{cell.patchId}, {patchesById[cell.patchId].area.toFixed(2)} km² over {patchesById[cell.patchId].cellCount} cells</div>
+                      )}
+                      {cell.distanceToGreen !== null && cell.distanceToGreen !== undefined && (
+                        <div><strong>Distance to Green:</strong> {cell.distanceToGreen === 0 ? 'green patch' : `${cell.distanceToGreen} m`}</div>
+                      )}
+                      {cell.trend && (
+                        <div><strong>Trend:</strong> {cell.trend.senSlope >= 0 ? '+' : ''}{cell.trend.senSlope.toFixed(2)} pts/year (p = {cell.trend.pValue.toFixed(3)}, {cell.trend.significant ? `significant ${cell.trend.direction}` : 'not significant'})</div>
+                      )}
+                      {cell.landCover && (
+                        <div><strong>Land Cover:</strong> {Object.entries(cell.landCover)
+                          .filter(([, fraction]) => fraction >= 0.005)
+                          .sort((a, b) => b[1] - a[1])
+                          .map(([key, fraction]) => `${LAND_COVER_STYLES[key]?.label || key} ${(fraction * 100).toFixed(0)}%`)
+                          .join(', ')}</div>
+                      )}
+                      {cell.phenology && (
+                        <div><strong>Seasonality:</strong> NDVI {cell.phenology.minNdvi.toFixed(2)}–{cell.phenology.peakNdvi.toFixed(2)}, peaks in {['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][cell.phenology.peakMonth - 1]}, {cell.phenology.growingSeasonMonths} month growing season</div>
+                      )}
+                      {cell.failureReason === 'cloudy' && (
+                        <div className="text-amber-600"><strong>Too cloudy:</strong> unmeasured, left out of coverage</div>
+                      )}
                     </div>
                   </div>
                 </Popup>
-              </Rectangle>
+              </CellShape>
             )
           })}
+
+          {/* Patch labels: ID and area at the centre of the largest patches */}
+          {mapLayer === 'patches' && fragmentation.patches.slice(0, MAX_PATCH_LABELS).map(patch => (
+            <Marker
+              key={`patch-${patch.id}`}
+              position={[patch.latitude, patch.longitude]}
+              icon={L.divIcon({
+                className: '',
+                html: `<div style="background:white;border:1px solid #0e7490;border-radius:4px;padding:1px 4px;font-size:11px;white-space:nowrap;color:#164e63">#${patch.id} · ${patch.area.toFixed(1)} km²</div>`
+              })}
+            />
+          ))}
           
+          {/* District choropleth */}
+          {mapLayer === 'districts' && districts.map(district => (
+            <Polygon
+              key={`district-${district.id}`}
+              positions={toLeafletPositions(district.geometry)}
+              pathOptions={getDistrictStyle(district.percentage)}
+            >
+              <Popup>
+                <div className="text-sm">
+                  <strong>{district.name}</strong>
+                  <div className="text-xs text-gray-600 mt-1 space-y-1">
+                    <div><strong>Vegetation Coverage:</strong> {district.percentage.toFixed(1)}%</div>
+                    <div><strong>Area:</strong> {district.area.toFixed(2)} km² ({district.cellCount} cells)</div>
+                    {district.grade && <div><strong>Score:</strong> {district.score.toFixed(0)}/100 ({district.grade.grade})</div>}
+                    {district.trend && (
+                      <div><strong>Trend:</strong> {district.trend.senSlope >= 0 ? '+' : ''}{district.trend.senSlope.toFixed(2)} pts/year{district.trend.significant ? ` (significant ${district.trend.direction})` : ' (not significant)'}</div>
+                    )}
+                  </div>
+                </div>
+              </Popup>
+            </Polygon>
+          ))}
+
           {/* City boundaries in red for planning context */}
           {cityBounds && cityBounds.geometry && cityBounds.geometry.coordinates && (
             <Polygon
-              positions={cityBounds.geometry.coordinates[0].map(coord => [coord[1], coord[0]])}
+              positions={toLeafletPositions(cityBounds.geometry)}
               pathOptions={{
                 fillColor: 'transparent',
                 color: '#dc2626', // Red border for city boundary
@@ -297,27 +585,97 @@ const GreenpaceMap = ({ analysisData, city }) => {
       
       {/* Purple overlay legend for city planners */}
       <div className="p-4 bg-gray-50 border-t border-gray-200">
-        <div className="mb-3">
-          <h4 className="text-sm font-semibold text-gray-900 mb-2">Vegetation Density Legend</h4>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 bg-purple-900 opacity-80 rounded"></div>
-              <span className="text-gray-600">Dense (≥50%)</span>
+        {mapLayer === 'change' && (
+          <div className="mb-3">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Change Legend ({changeDetection.fromYear}–{changeDetection.toYear}, ±{changeDetection.minChange} pts)</h4>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+              {Object.entries(CHANGE_STYLES).map(([key, { label, color }]) => (
+                <div key={key} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: color, opacity: 0.8 }}></div>
+                  <span className="text-gray-600">
+                    {label} ({changeDetection.summary[key].cells})
+                  </span>
+                </div>
+              ))}
             </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 bg-purple-600 opacity-60 rounded"></div>
-              <span className="text-gray-600">Moderate (30-49%)</span>
+            <div className="text-xs text-gray-500 mt-2">Darker red and green mark larger changes</div>
+          </div>
+        )}
+        {mapLayer === 'districts' && (
+          <div className="mb-3">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">District Coverage Legend</h4>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-xs">
+              {DISTRICT_BANDS.map(({ label, color }) => (
+                <div key={label} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: color }}></div>
+                  <span className="text-gray-600">{label}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        {mapLayer === 'patches' && (
+          <div className="mb-3">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Landscape Metrics</h4>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-xs text-gray-600">
+              <div><div className="font-semibold text-gray-900">{fragmentation.patchCount}</div>Patches</div>
+              <div><div className="font-semibold text-gray-900">{fragmentation.meanPatchSize?.toFixed(2) ?? '–'} km²</div>Mean patch size</div>
+              <div><div className="font-semibold text-gray-900">{fragmentation.largestPatchIndex?.toFixed(1) ?? '–'}%</div>Largest patch index</div>
+              <div><div className="font-semibold text-gray-900">{fragmentation.edgeDensity?.toFixed(1) ?? '–'} m/ha</div>Edge density</div>
+              <div><div className="font-semibold text-gray-900">{fragmentation.connectivity.index?.toFixed(0) ?? '–'}%</div>Connectivity (patch pairs within {fragmentation.connectivity.distance} m)</div>
             </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 bg-purple-400 opacity-50 rounded"></div>
-              <span className="text-gray-600">Light (15-29%)</span>
+          </div>
+        )}
+        {mapLayer === 'access' && (
+          <div className="mb-3">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Distance to Green Space</h4>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-xs">
+              {ACCESS_BANDS.map(({ label, color }) => (
+                <div key={label} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded" style={{ backgroundColor: color, opacity: 0.8 }}></div>
+                  <span className="text-gray-600">{label}</span>
+                </div>
+              ))}
             </div>
-            <div className="flex items-center space-x-2">
-              <div className="w-4 h-4 bg-purple-300 opacity-30 rounded"></div>
-              <span className="text-gray-600">Sparse (25-29%)</span>
+            <div className="text-xs text-gray-600 mt-2">
+              ≈{accessibility.withinDistance[300].percentage.toFixed(1)}% of the city is within 300 m of a green cell, ≈{accessibility.withinDistance[500].percentage.toFixed(1)}% within 500 m (approximate at this grid resolution)
             </div>
           </div>
+        )}
+        {mapLayer === 'landCover' && (
+          <div className="mb-3">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Land Cover Legend (dominant class per cell)</h4>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-xs">
+              {Object.entries(LAND_COVER_STYLES).map(([key, { label, color }]) => (
+                <div key={key} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded" style={{ backgroundColor: color, opacity: 0.8 }}></div>
+                  <span className="text-gray-600">
+                    {label}
+                    {analysisData.landCover?.classes?.[key] && ` (${analysisData.landCover.classes[key].percentage.toFixed(1)}%)`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        {mapLayer === 'vegetation' && (
+        <div className="mb-3">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Vegetation Density Legend</h4>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs">
+            {DENSITY_BANDS
+              .filter(band => band.max === null || band.max >= vegetationThreshold)
+              .map(band => {
+                const min = Math.max(band.min, vegetationThreshold)
+                return (
+                  <div key={band.label} className="flex items-center space-x-2">
+                    <div className={`w-4 h-4 ${band.className} rounded`}></div>
+                    <span className="text-gray-600">{band.label} ({band.max === null ? `≥${min}` : `${min}-${band.max}`}%)</span>
+                  </div>
+                )
+              })}
+          </div>
         </div>
+        )}
         
         <div className="flex items-center justify-between text-sm border-t pt-2">
           <div className="text-gray-600">
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react'
-import { Activity, Grid, Clock, Satellite, MapPin, Zap, TrendingUp, Eye } from 'lucide-react'
+import { Activity, Grid, Clock, Satellite, MapPin, Zap, TrendingUp, Eye, Leaf, Hourglass, XCircle } from 'lucide-react'
 
-const ProgressAnalysis = ({ city, progressData }) => {
+const ProgressAnalysis = ({ city, progressData, onCancel }) => {
   const [logs, setLogs] = useState([])
   const [currentStatus, setCurrentStatus] = useState('Initializing analysis...')
   const [gridProgress, setGridProgress] = useState(null)
@@ -10,6 +10,7 @@ const ProgressAnalysis = ({ city, progressData }) => {
   const [startTime] = useState(Date.now())
   const [currentCoordinates, setCurrentCoordinates] = useState(null)
   const [memoryUsage, setMemoryUsage] = useState(null)
+  const [cancelling, setCancelling] = useState(false)
 
   useEffect(() => {
     if (progressData) {
@@ -49,10 +50,23 @@ const ProgressAnalysis = ({ city, progressData }) => {
         setAnalysisPhase('historical')
       } else if (type === 'analysis-started') {
         setAnalysisPhase('current')
+      } else if (type === 'analysis-queued') {
+        setAnalysisPhase('queued')
       }
     }
   }, [progressData])
 
+  // Stays disabled until the server reports the analysis as cancelled, unless
+  // the cancel request itself fails
+  const handleCancel = async () => {
+    setCancelling(true)
+    try {
+      await onCancel()
+    } catch {
+      setCancelling(false)
+    }
+  }
+
   const getElapsedTime = () => {
     const elapsed = Math.floor((Date.now() - startTime) / 1000)
     const minutes = Math.floor(elapsed / 60)
@@ -79,7 +93,9 @@ const ProgressAnalysis = ({ city, progressData }) => {
     switch (phase) {
       case 'current': return <Satellite className="h-5 w-5 text-blue-500" />
       case 'historical': return <Clock className="h-5 w-5 text-purple-500" />
+      case 'phenology': return <Leaf className="h-5 w-5 text-green-600" />
       case 'starting': return <Zap className="h-5 w-5 text-green-500" />
+      case 'queued': return <Hourglass className="h-5 w-5 text-amber-500" />
       default: return <Activity className="h-5 w-5 text-gray-500" />
     }
   }
@@ -88,7 +104,9 @@ const ProgressAnalysis = ({ city, progressData }) => {
     switch (phase) {
       case 'current': return 'bg-blue-100 text-blue-800 border-blue-200'
       case 'historical': return 'bg-purple-100 text-purple-800 border-purple-200'
+      case 'phenology': return 'bg-emerald-100 text-emerald-800 border-emerald-200'
       case 'starting': return 'bg-green-100 text-green-800 border-green-200'
+      case 'queued': return 'bg-amber-100 text-amber-800 border-amber-200'
       default: return 'bg-gray-100 text-gray-800 border-gray-200'
     }
   }
@@ -132,6 +150,16 @@ const ProgressAnalysis = ({ city, progressData }) => {
                 </div>
               )}
             </div>
+            {onCancel && (
+              <button
+                onClick={handleCancel}
+                disabled={cancelling}
+                className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <XCircle className="h-4 w-4" />
+                <span className="text-sm font-medium">{cancelling ? 'Cancelling...' : 'Cancel'}</span>
+              </button>
+            )}
           </div>
         </div>
         